@@ -0,0 +1,224 @@
+import { Component } from '@theme/component';
+import { cartMutations, CartMutationQueuedError } from '@theme/cart-mutations';
+import { cartPerformance } from '@theme/performance';
+
+/** Weekday names accepted in the closed weekdays setting, by `Date#getDay()` index */
+const WEEKDAY_NAMES = [
+  ['sun', '日'],
+  ['mon', '月'],
+  ['tue', '火'],
+  ['wed', '水'],
+  ['thu', '木'],
+  ['fri', '金'],
+  ['sat', '土'],
+];
+
+/**
+ * A custom element that saves the cart attributes entered in it, like a preferred delivery date and time.
+ *
+ * Every field named `attributes[...]` is saved when it changes. Fields with `aria-required="true"` must be
+ * filled in before checkout: the checkout is blocked and the field shows its error until it is.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLSelectElement} [deliveryDate] - The delivery date picker, filled with the dates that can be picked.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAttributes extends Component {
+  /**
+   * The request saving each attribute, by attribute name.
+   * @type {Map<string, { controller: AbortController, request: Promise<void> }>}
+   */
+  #activeFetches = new Map();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#renderDeliveryDates();
+    document.addEventListener('submit', this.#handleCheckout, true);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener('submit', this.#handleCheckout, true);
+  }
+
+  /**
+   * Handles changes to an attribute field.
+   * @param {Event} event - The change event on the field.
+   */
+  updateAttribute = (event) => {
+    const field = event.target;
+    if (!(field instanceof HTMLInputElement || field instanceof HTMLSelectElement)) return;
+
+    this.#renderError(field, false);
+    this.#saveAttribute(field);
+    cartPerformance.measureFromEvent('attributes-update:user-action', event);
+  };
+
+  /**
+   * Saves a field to the cart attributes, replacing a save of the same attribute still in flight.
+   * @param {HTMLInputElement | HTMLSelectElement} field
+   */
+  #saveAttribute(field) {
+    const name = getAttributeName(field);
+    if (!name) return;
+
+    this.#activeFetches.get(name)?.controller.abort();
+
+    const controller = new AbortController();
+    const request = cartMutations
+      // A queued attribute is saved when the connection comes back, replacing any earlier queued value
+      .mutate(
+        { type: 'update', body: { attributes: { [name]: field.value } }, coalesceKey: `attributes:${name}` },
+        { signal: controller.signal }
+      )
+      .then(() => {})
+      .catch((error) => {
+        if (controller.signal.aborted || error instanceof CartMutationQueuedError) return;
+        console.error(error);
+      })
+      .finally(() => {
+        if (this.#activeFetches.get(name)?.controller === controller) this.#activeFetches.delete(name);
+      });
+
+    this.#activeFetches.set(name, { controller, request });
+  }
+
+  /**
+   * Blocks the checkout of the cart this component is in until the required fields are filled in and saved.
+   * @param {SubmitEvent} event
+   */
+  #handleCheckout = (event) => {
+    const { submitter } = event;
+
+    if (!(submitter instanceof HTMLButtonElement) || submitter.name !== 'checkout') return;
+    if (submitter.closest('cart-items-component') !== this.closest('cart-items-component')) return;
+
+    const invalidFields = this.#getFields().filter(
+      (field) => field.getAttribute('aria-required') === 'true' && field.value.trim() === ''
+    );
+
+    for (const field of invalidFields) this.#renderError(field, true);
+
+    if (invalidFields.length > 0) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      invalidFields[0]?.focus();
+      return;
+    }
+
+    // Saves still in flight would be lost when leaving the page, so the checkout waits for them
+    if (this.#activeFetches.size > 0 && event.target instanceof HTMLFormElement) {
+      const form = event.target;
+      const requests = Array.from(this.#activeFetches.values(), ({ request }) => request);
+
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      Promise.all(requests).then(() => form.requestSubmit(submitter));
+    }
+  };
+
+  /**
+   * Shows or hides the inline error of a field.
+   * @param {HTMLInputElement | HTMLSelectElement} field
+   * @param {boolean} invalid
+   */
+  #renderError(field, invalid) {
+    const errorId = field.getAttribute('aria-errormessage');
+    const error = errorId ? document.getElementById(errorId) : null;
+
+    field.setAttribute('aria-invalid', String(invalid));
+    error?.toggleAttribute('hidden', !invalid);
+  }
+
+  /**
+   * @returns {(HTMLInputElement | HTMLSelectElement)[]} The attribute fields.
+   */
+  #getFields() {
+    return Array.from(this.querySelectorAll('[name^="attributes["]')).filter(
+      (field) => field instanceof HTMLInputElement || field instanceof HTMLSelectElement
+    );
+  }
+
+  /**
+   * Fills the delivery date picker with the dates that can be picked, from the lead time to the last day offered,
+   * leaving out closed weekdays and holidays.
+   */
+  #renderDeliveryDates() {
+    const { deliveryDate } = this.refs;
+    if (!deliveryDate) return;
+
+    const { leadDays, maxDays, closedWeekdays = '', holidays = '', selected = '' } = deliveryDate.dataset;
+    const closed = parseWeekdays(closedWeekdays);
+    const closedDates = new Set(holidays.split(/[\s,]+/).filter(Boolean));
+    const formatter = new Intl.DateTimeFormat(Shopify.locale, { month: 'long', day: 'numeric', weekday: 'short' });
+
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + (Number(leadDays) || 0));
+
+    const last = new Date(date);
+    last.setDate(last.getDate() + Math.max(Number(maxDays) || 0, 1));
+
+    /** @type {HTMLOptionElement[]} */
+    const options = [];
+
+    for (; date < last; date.setDate(date.getDate() + 1)) {
+      const value = toDateValue(date);
+      if (closed.has(date.getDay()) || closedDates.has(value)) continue;
+
+      options.push(new Option(formatter.format(date), value, false, value === selected));
+    }
+
+    // Keep the placeholder option, the dates after it change every day
+    const placeholder = deliveryDate.options[0];
+    deliveryDate.replaceChildren(...(placeholder ? [placeholder] : []), ...options);
+
+    // A date saved earlier that can no longer be picked is cleared, so it is not sent with the order
+    if (selected && !options.some((option) => option.selected)) {
+      deliveryDate.value = '';
+      this.#saveAttribute(deliveryDate);
+    }
+  }
+}
+
+/**
+ * @param {Element} field
+ * @returns {string | undefined} The attribute name, from a field named `attributes[name]`.
+ */
+function getAttributeName(field) {
+  return field.getAttribute('name')?.match(/^attributes\[(.+)\]$/)?.[1];
+}
+
+/**
+ * @param {string} value - Weekdays separated by commas, in English (`sun`, `mon`...) or Japanese (`日`, `月`...).
+ * @returns {Set<number>} The `Date#getDay()` indexes of the weekdays.
+ */
+function parseWeekdays(value) {
+  /** @type {Set<number>} */
+  const weekdays = new Set();
+
+  for (const name of value.toLowerCase().split(/[\s,、]+/)) {
+    const index = WEEKDAY_NAMES.findIndex((names) => names.some((weekday) => name.startsWith(weekday)));
+    if (index !== -1) weekdays.add(index);
+  }
+
+  return weekdays;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The date as `YYYY-MM-DD`, in the customer's time zone.
+ */
+function toDateValue(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+if (!customElements.get('cart-attributes')) {
+  customElements.define('cart-attributes', CartAttributes);
+}
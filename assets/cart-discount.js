@@ -1,23 +1,56 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { cartMutations, CartMutationQueuedError } from '@theme/cart-mutations';
 import { cartPerformance } from '@theme/performance';
 
+/**
+ * Why a discount code was not applied.
+ * - `already_applied`: the code is already on the cart.
+ * - `not_applicable`: the code does not apply to the cart. The cart JSON does not say why, so this also
+ *   covers a minimum purchase that is not met.
+ * - `shipping`: the code is a shipping discount, applied at checkout once there is an address.
+ * - `network`: the store could not be reached; the code is applied once the connection comes back.
+ * - `error`: the request failed for another reason.
+ *
+ * @typedef {'already_applied' | 'not_applicable' | 'shipping' | 'network' | 'error'} DiscountErrorReason
+ */
+
+/**
+ * A discount code in the cart JSON.
+ *
+ * @typedef {object} CartDiscountCode
+ * @property {string} code - The code.
+ * @property {boolean} applicable - Whether the code applies to the cart.
+ */
+
+/**
+ * The data attribute holding the message for each reason, with `[code]` for the code.
+ * @type {Record<DiscountErrorReason, string>}
+ */
+const ERROR_MESSAGE_ATTRIBUTES = {
+  already_applied: 'errorAlreadyApplied',
+  not_applicable: 'errorNotApplicable',
+  shipping: 'errorShipping',
+  network: 'errorNetwork',
+  error: 'errorGeneric',
+};
+
 /**
  * A custom element that applies a discount to the cart.
+ * Several codes can be entered at once, separated by commas, and each rejected code gets its own message.
  *
  * @typedef {Object} CartDiscountComponentRefs
  * @property {HTMLElement} cartDiscountError - The error element.
- * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
- * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} cartDiscountErrorMessages - The list of messages, one for each rejected code.
+ * @property {HTMLFormElement} cartDiscountForm - The form to enter codes.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
+  requiredRefs = ['cartDiscountError', 'cartDiscountErrorMessages', 'cartDiscountForm'];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
@@ -37,8 +70,6 @@ class CartDiscount extends Component {
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -46,75 +77,90 @@ class CartDiscount extends Component {
     if (!(form instanceof HTMLFormElement)) return;
 
     const discountCode = form.querySelector('input[name="discount"]');
-    if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
+    const { sectionId } = this.dataset;
+    if (!(discountCode instanceof HTMLInputElement) || typeof sectionId !== 'string') return;
 
-    const discountCodeValue = discountCode.value;
+    const existingDiscounts = this.#existingDiscounts();
+    const existingCodes = new Set(existingDiscounts.map(normalizeCode));
+
+    /** @type {{ code: string, reason: DiscountErrorReason }[]} */
+    const errors = [];
+    /** @type {string[]} */
+    const newCodes = [];
+
+    for (const code of parseCodes(discountCode.value)) {
+      if (existingCodes.has(normalizeCode(code))) {
+        errors.push({ code, reason: 'already_applied' });
+      } else {
+        existingCodes.add(normalizeCode(code));
+        newCodes.push(code);
+      }
+    }
+
+    this.#renderErrors(errors);
+    discountCode.value = '';
+
+    if (newCodes.length === 0) return;
 
     const abortController = this.#createAbortController();
+    this.#setLoading(true);
 
     try {
-      const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
-
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
-      }
-
-      const newHtml = data.sections[this.dataset.sectionId];
-      const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
-      const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
+      const data = await cartMutations.mutate(
+        {
+          type: 'update',
+          body: {
+            discount: [...existingDiscounts, ...newCodes].join(','),
+            sections: [sectionId],
+          },
+          coalesceKey: 'discount',
+        },
+        { signal: abortController.signal }
+      );
+
+      const newHtml = data.sections[sectionId];
+      const renderedCodes = new Set(getRenderedDiscounts(newHtml).map(normalizeCode));
+
+      /** @type {CartDiscountCode[]} */
+      const discountCodes = data.discount_codes ?? [];
+      let applied = false;
+
+      for (const code of newCodes) {
+        const discount = discountCodes.find((entry) => normalizeCode(entry.code) === normalizeCode(code));
+
+        if (!discount || discount.applicable === false) {
+          errors.push({ code, reason: 'not_applicable' });
+        } else if (!renderedCodes.has(normalizeCode(code))) {
+          // An applicable code the cart does not show is a shipping discount, applied at checkout
+          errors.push({ code, reason: 'shipping' });
+        } else {
+          applied = true;
         }
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      // The cart only needs to be rendered again when one of the codes was applied
+      if (applied) {
+        document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
+        await morphSection(sectionId, newHtml);
+      }
     } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      const queued = error instanceof CartMutationQueuedError;
+      if (!queued) console.error(error);
+
+      for (const code of newCodes) errors.push({ code, reason: queued ? 'network' : 'error' });
     } finally {
-      this.#activeFetch = null;
+      if (this.#activeFetch === abortController) {
+        this.#activeFetch = null;
+        this.#setLoading(false);
+      }
+
       cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
+
+    // Rendered after the morph, which resets the error messages
+    this.#renderErrors(errors);
   };
 
   /**
@@ -149,35 +195,61 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cartMutations.mutate(
+        {
+          type: 'update',
+          body: { discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] },
+          coalesceKey: 'discount',
+        },
+        { signal: abortController.signal }
+      );
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
     } catch (error) {
+      // Aborted by a newer change, or queued and removed once the connection comes back
+      if (abortController.signal.aborted || error instanceof CartMutationQueuedError) return;
+
+      console.error(error);
     } finally {
-      this.#activeFetch = null;
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
     }
   };
 
   /**
-   * Handles the discount error.
+   * Shows a message for each rejected code, or hides the messages when there are none.
+   *
+   * @param {{ code: string, reason: DiscountErrorReason }[]} errors - The rejected codes.
+   */
+  #renderErrors(errors) {
+    const { cartDiscountError, cartDiscountErrorMessages } = this.refs;
+
+    const messages = errors.map(({ code, reason }) => {
+      const message = document.createElement('small');
+      const template = this.dataset[ERROR_MESSAGE_ATTRIBUTES[reason]] ?? '';
+
+      message.className = 'cart-discount__error-text cart-primary-typography';
+      message.dataset.reason = reason;
+      message.textContent = template.replace('[code]', code);
+
+      return message;
+    });
+
+    cartDiscountErrorMessages.replaceChildren(...messages);
+    cartDiscountError.classList.toggle('hidden', messages.length === 0);
+  }
+
+  /**
+   * Shows that codes are being applied, and prevents submitting the form again meanwhile.
    *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {boolean} loading - Whether codes are being applied.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
-    cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  #setLoading(loading) {
+    const { cartDiscountForm } = this.refs;
+    const button = cartDiscountForm.querySelector('button[type="submit"]');
+
+    cartDiscountForm.toggleAttribute('aria-busy', loading);
+    if (button instanceof HTMLButtonElement) button.disabled = loading;
   }
 
   /**
@@ -198,6 +270,45 @@ class CartDiscount extends Component {
   }
 }
 
+/**
+ * Splits the codes entered in the input, for codes pasted as a comma separated list.
+ * @param {string} value - The input value.
+ * @returns {string[]} The codes, without duplicates.
+ */
+function parseCodes(value) {
+  /** @type {Map<string, string>} */
+  const codes = new Map();
+
+  for (const code of value.split(',')) {
+    const trimmed = code.trim();
+    if (trimmed && !codes.has(normalizeCode(trimmed))) codes.set(normalizeCode(trimmed), trimmed);
+  }
+
+  return [...codes.values()];
+}
+
+/**
+ * Discount codes are case-insensitive.
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCode(code) {
+  return code.trim().toUpperCase();
+}
+
+/**
+ * Returns the codes the rendered section shows as applied.
+ * @param {string} html - The section HTML.
+ * @returns {string[]}
+ */
+function getRenderedDiscounts(html) {
+  const parsedHtml = new DOMParser().parseFromString(html, 'text/html');
+
+  return Array.from(parsedHtml.querySelectorAll('.cart-discount__pill'))
+    .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : undefined))
+    .filter((code) => typeof code === 'string');
+}
+
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
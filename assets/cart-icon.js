@@ -43,9 +43,10 @@ class CartIcon extends Component {
    */
   onCartUpdate = async (event) => {
     const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+    const source = event.detail.data?.source;
+    const isAddition = source === 'product-form-component' || source === 'wishlist';
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    this.renderCartBubble(itemCount, isAddition);
   };
 
   /**
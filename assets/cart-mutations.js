@@ -0,0 +1,360 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartQueueUpdateEvent, CartUpdateEvent } from '@theme/events';
+
+/** The key used to store the mutations waiting for a connection in local storage */
+const STORAGE_KEY = 'cartMutationQueue';
+
+/** Body fields that only make sense on the page that sent the request, dropped when a mutation is queued */
+const PAGE_BOUND_FIELDS = ['sections', 'sections_url'];
+
+/**
+ * @typedef {'add' | 'change' | 'update'} CartMutationType
+ */
+
+/**
+ * A change to the cart, sent to the `/cart/add`, `/cart/change` or `/cart/update` endpoint.
+ *
+ * @typedef {object} CartMutation
+ * @property {CartMutationType} type - The endpoint the mutation is sent to.
+ * @property {Record<string, unknown> | FormData} body - The request body. Form data is sent as is, objects as JSON.
+ * @property {string} [lineKey] - The key of the cart line the mutation changes, used to show its pending state.
+ * @property {string} [coalesceKey] - A queued mutation is replaced by a newer one with the same key.
+ */
+
+/**
+ * A mutation that could not be sent and waits in local storage for the connection to come back.
+ *
+ * @typedef {object} PendingCartMutation
+ * @property {string} id - A unique ID for the queued mutation.
+ * @property {CartMutationType} type - The endpoint the mutation is sent to.
+ * @property {Record<string, unknown> | [string, string][]} body - The JSON body, or the form data entries.
+ * @property {'json' | 'form'} format - How the body is sent.
+ * @property {string} [lineKey] - The key of the cart line the mutation changes.
+ * @property {string} [coalesceKey] - A queued mutation is replaced by a newer one with the same key.
+ * @property {number} queuedAt - When the mutation was queued, in milliseconds since the epoch.
+ */
+
+/**
+ * The error a mutation rejects with when it was queued instead of sent.
+ * The mutation is replayed once the browser is back online, so callers should show it as pending, not failed.
+ */
+export class CartMutationQueuedError extends Error {
+  /**
+   * @param {PendingCartMutation} mutation - The queued mutation.
+   */
+  constructor(mutation) {
+    super('The cart mutation was queued until the connection is restored');
+    this.name = 'CartMutationQueuedError';
+    this.mutation = mutation;
+  }
+}
+
+/**
+ * Whether an error means the request never reached the server.
+ * `fetch` rejects with a `TypeError` on network failures. Aborted requests reject with an `AbortError`,
+ * which is not a network error, so they are dropped instead of queued.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return error instanceof TypeError;
+}
+
+/**
+ * Sends cart mutations one at a time, in the order they were made.
+ *
+ * When the browser is offline or a request fails before reaching the server, the mutation and every one
+ * made after it are kept in local storage and replayed when the connection comes back, even after a reload.
+ * A `cart:queue-update` event is dispatched on the document whenever the queue changes.
+ */
+class CartMutationClient {
+  /** @type {PendingCartMutation[]} */
+  #pending = [];
+
+  /**
+   * The last operation in the chain, so each mutation starts after the previous one settled.
+   * @type {Promise<unknown>}
+   */
+  #tail = Promise.resolve();
+
+  /**
+   * Whether the last write to local storage succeeded. While it fails, the queue only lives in this page,
+   * so it is not replaced by what storage holds.
+   */
+  #storageWritable = true;
+
+  constructor() {
+    this.#pending = this.#read() ?? [];
+
+    window.addEventListener('online', () => this.replay());
+
+    if (this.#pending.length > 0) {
+      queueMicrotask(() => {
+        this.#notify();
+        this.replay();
+      });
+    }
+  }
+
+  /**
+   * The mutations waiting for a connection, oldest first.
+   * @returns {PendingCartMutation[]}
+   */
+  get pending() {
+    return this.#pending.map((mutation) => ({ ...mutation }));
+  }
+
+  /**
+   * Sends a mutation after all the earlier ones.
+   *
+   * @param {CartMutation} mutation - The mutation to send.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, or drops the mutation if it has not been sent yet.
+   * @returns {Promise<any>} The parsed JSON response. Rejects with a `CartMutationQueuedError` when it was queued.
+   */
+  mutate(mutation, { signal } = {}) {
+    return this.#chain(() => this.#run(mutation, signal));
+  }
+
+  /**
+   * Sends the queued mutations, stopping at the first one that fails to reach the server.
+   * Called automatically when the browser comes back online.
+   * @returns {Promise<void>}
+   */
+  replay() {
+    return this.#chain(() => this.#replay());
+  }
+
+  /**
+   * @template T
+   * @param {() => Promise<T>} operation
+   * @returns {Promise<T>}
+   */
+  #chain(operation) {
+    const result = this.#tail.then(operation);
+    this.#tail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @param {CartMutation} mutation
+   * @param {AbortSignal} [signal]
+   */
+  async #run(mutation, signal) {
+    if (signal?.aborted) throw new DOMException('The cart mutation was aborted', 'AbortError');
+
+    const pending = this.#serialize(mutation);
+
+    // Mutations made while others are queued join the queue, so they are applied in order
+    if (pending && (this.#pending.length > 0 || !navigator.onLine)) {
+      throw this.#enqueue(pending);
+    }
+
+    try {
+      return await this.#send(mutation.type, mutation.body, signal);
+    } catch (error) {
+      if (!pending || !isNetworkError(error)) throw error;
+
+      throw this.#enqueue(pending);
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async #replay() {
+    // Every tab replays when the connection comes back, the lock lets one tab at a time send the shared queue
+    if (!navigator.locks) return this.#replayQueue();
+
+    return navigator.locks.request(STORAGE_KEY, () => this.#replayQueue());
+  }
+
+  async #replayQueue() {
+    // Another tab may have replayed the queue already
+    this.#syncFromStorage();
+
+    if (this.#pending.length === 0 || !navigator.onLine) return;
+
+    let replayed = false;
+
+    for (let mutation = this.#pending[0]; mutation; mutation = this.#pending[0]) {
+      try {
+        const body = mutation.format === 'form' ? toFormData(mutation.body) : mutation.body;
+        const response = await this.#send(mutation.type, /** @type {Record<string, unknown> | FormData} */ (body));
+
+        // The cart may have changed since the mutation was queued, so rejected ones are dropped
+        if (response?.status) console.warn('A queued cart mutation was rejected', response);
+      } catch (error) {
+        if (isNetworkError(error)) break;
+        console.error(error);
+      }
+
+      this.#pending.shift();
+      this.#write();
+      replayed = true;
+    }
+
+    this.#notify();
+
+    if (replayed) await this.#refreshCart();
+  }
+
+  /**
+   * @param {CartMutationType} type
+   * @param {Record<string, unknown> | FormData} body
+   * @param {AbortSignal} [signal]
+   */
+  async #send(type, body, signal) {
+    const config =
+      body instanceof FormData
+        ? fetchConfig('javascript', { body, headers: { Accept: 'text/html' } })
+        : fetchConfig('json', { body: JSON.stringify(body) });
+
+    const response = await fetch(getEndpoint(type), { ...config, signal });
+
+    return response.json();
+  }
+
+  /**
+   * Tells the cart components to render the cart as it is after the replay.
+   */
+  async #refreshCart() {
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      const cart = await response.json();
+
+      document.dispatchEvent(
+        new CartUpdateEvent(cart, 'cart-mutations', { source: 'cart-mutations', itemCount: cart.item_count })
+      );
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Converts a mutation into the form kept in local storage.
+   * Returns `null` for mutations that cannot be stored, like form data with files.
+   * @param {CartMutation} mutation
+   * @returns {PendingCartMutation | null}
+   */
+  #serialize({ type, body, lineKey, coalesceKey }) {
+    /** @type {PendingCartMutation} */
+    const pending = { id: crypto.randomUUID(), type, body: {}, format: 'json', queuedAt: Date.now() };
+
+    if (lineKey) pending.lineKey = lineKey;
+    if (coalesceKey) pending.coalesceKey = coalesceKey;
+
+    if (body instanceof FormData) {
+      /** @type {[string, string][]} */
+      const entries = [];
+
+      for (const [name, value] of body) {
+        if (typeof value !== 'string') return null;
+        if (!PAGE_BOUND_FIELDS.includes(name)) entries.push([name, value]);
+      }
+
+      pending.body = entries;
+      pending.format = 'form';
+    } else {
+      pending.body = Object.fromEntries(Object.entries(body).filter(([name]) => !PAGE_BOUND_FIELDS.includes(name)));
+    }
+
+    return pending;
+  }
+
+  /**
+   * @param {PendingCartMutation} mutation
+   * @returns {CartMutationQueuedError}
+   */
+  #enqueue(mutation) {
+    // Start from the stored queue, another tab may have replayed or added mutations since this one read it
+    this.#syncFromStorage();
+
+    const index = mutation.coalesceKey
+      ? this.#pending.findIndex((pending) => pending.coalesceKey === mutation.coalesceKey)
+      : -1;
+
+    if (index === -1) {
+      this.#pending.push(mutation);
+    } else {
+      this.#pending[index] = mutation;
+    }
+
+    this.#write();
+    this.#notify();
+
+    return new CartMutationQueuedError(mutation);
+  }
+
+  /**
+   * Replaces the queue in memory with the stored one, unless storage could not be read or written.
+   */
+  #syncFromStorage() {
+    if (!this.#storageWritable) return;
+
+    const stored = this.#read();
+    if (stored) this.#pending = stored;
+  }
+
+  /**
+   * @returns {PendingCartMutation[] | null} The stored queue, or `null` when storage could not be read.
+   */
+  #read() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  #write() {
+    try {
+      if (this.#pending.length === 0) {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.#pending));
+      }
+      this.#storageWritable = true;
+    } catch (error) {
+      // Storage can be full or disabled; the queue still works for the lifetime of the page
+      this.#storageWritable = false;
+      console.warn(error);
+    }
+  }
+
+  #notify() {
+    document.dispatchEvent(new CartQueueUpdateEvent(this.pending));
+  }
+}
+
+/**
+ * @param {CartMutationType} type
+ * @returns {string}
+ */
+function getEndpoint(type) {
+  switch (type) {
+    case 'add':
+      return Theme.routes.cart_add_url;
+    case 'change':
+      return Theme.routes.cart_change_url;
+    case 'update':
+      return Theme.routes.cart_update_url;
+  }
+}
+
+/**
+ * @param {Record<string, unknown> | [string, string][]} entries
+ * @returns {FormData}
+ */
+function toFormData(entries) {
+  const formData = new FormData();
+
+  if (Array.isArray(entries)) {
+    for (const [name, value] of entries) formData.append(name, value);
+  }
+
+  return formData;
+}
+
+export const cartMutations = new CartMutationClient();
@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
+import { cartMutations } from '@theme/cart-mutations';
 import { cartPerformance } from '@theme/performance';
 
 /**
@@ -25,14 +26,11 @@ class CartNote extends Component {
     this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      // A queued note is saved when the connection comes back, replacing any earlier queued note
+      await cartMutations.mutate(
+        { type: 'update', body: { note }, coalesceKey: 'note' },
+        { signal: abortController.signal }
+      );
     } catch (error) {
     } finally {
       this.#activeFetch = null;
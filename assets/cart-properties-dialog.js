@@ -0,0 +1,121 @@
+import { DialogComponent } from '@theme/dialog';
+import { cartMutations, CartMutationQueuedError } from '@theme/cart-mutations';
+import { CartUpdateEvent } from '@theme/events';
+
+/**
+ * A dialog to edit the properties of a cart line, like an engraving entered on the product page.
+ *
+ * The line is changed by its key, so it keeps its position in the cart. Properties starting with `_` are not
+ * shown to customers and are sent back unchanged.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLButtonElement} saveButton - The button that saves the properties.
+ * @property {HTMLElement} error - The message shown when the properties could not be saved.
+ *
+ * @extends {DialogComponent}
+ */
+class CartPropertiesDialog extends DialogComponent {
+  requiredRefs = ['dialog', 'saveButton', 'error'];
+
+  /**
+   * Saves the properties entered in the dialog, and renders the cart with them.
+   */
+  saveProperties = async () => {
+    const { saveButton, error } = this.refs;
+    const { lineKey, quantity } = this.dataset;
+    const fields = this.#getFields();
+
+    if (!(saveButton instanceof HTMLButtonElement) || !(error instanceof HTMLElement)) return;
+    if (!lineKey || !fields.every((field) => field.reportValidity())) return;
+
+    /** @type {Record<string, string>} */
+    const properties = JSON.parse(this.dataset.properties || '{}') ?? {};
+
+    for (const field of fields) {
+      const name = field.dataset.propertyName;
+      if (!name) continue;
+
+      // A cleared property is removed, like an empty field on the product page
+      if (field.value.trim() === '') {
+        delete properties[name];
+      } else {
+        properties[name] = field.value;
+      }
+    }
+
+    error.hidden = true;
+    saveButton.disabled = true;
+
+    try {
+      const response = await cartMutations.mutate({
+        type: 'change',
+        body: {
+          id: lineKey,
+          quantity: Number(quantity),
+          properties,
+          sections: getCartSectionIds().join(','),
+          sections_url: window.location.pathname,
+        },
+        lineKey,
+        coalesceKey: `properties:${lineKey}`,
+      });
+
+      if (response.status || response.errors) {
+        error.textContent = typeof response.errors === 'string' ? response.errors : error.dataset.message ?? '';
+        error.hidden = false;
+        return;
+      }
+
+      await this.closeDialog();
+
+      this.dispatchEvent(
+        new CartUpdateEvent(response, lineKey, {
+          source: 'cart-properties-dialog',
+          itemCount: response.item_count,
+          sections: response.sections,
+        })
+      );
+    } catch (caughtError) {
+      // The properties are saved when the connection comes back, the line shows it is waiting until then
+      if (caughtError instanceof CartMutationQueuedError) {
+        this.closeDialog();
+        return;
+      }
+
+      console.error(caughtError);
+      error.textContent = error.dataset.message ?? '';
+      error.hidden = false;
+    } finally {
+      saveButton.disabled = false;
+    }
+  };
+
+  /**
+   * @returns {(HTMLInputElement | HTMLTextAreaElement)[]} The property fields.
+   */
+  #getFields() {
+    return Array.from(this.querySelectorAll('[data-property-name]')).filter(
+      (field) => field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement
+    );
+  }
+}
+
+/**
+ * The sections of every cart on the page, rendered with the change so they stay in sync.
+ * @returns {string[]}
+ */
+function getCartSectionIds() {
+  /** @type {Set<string>} */
+  const sectionIds = new Set();
+
+  document.querySelectorAll('cart-items-component').forEach((item) => {
+    if (item instanceof HTMLElement && item.dataset.sectionId) sectionIds.add(item.dataset.sectionId);
+  });
+
+  return Array.from(sectionIds);
+}
+
+if (!customElements.get('cart-properties-dialog')) {
+  customElements.define('cart-properties-dialog', CartPropertiesDialog);
+}
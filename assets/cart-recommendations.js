@@ -0,0 +1,190 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/** The intents requested for each product in the cart, in the order their results are shown */
+const INTENTS = ['complementary', 'related'];
+
+/** How many cart products are used to find recommendations when the section does not set it */
+const DEFAULT_SEED_PRODUCTS = 3;
+
+/**
+ * The part of a cart event's detail the cart lines can be read from.
+ *
+ * @typedef {{ resource?: { items?: { product_id: number }[] } }} CartEventDetail
+ */
+
+/**
+ * Recommendations for the products in the cart, shown in the cart drawer.
+ *
+ * Complementary and related products are requested for the latest cart products, merged in that order,
+ * and the products already in the cart are left out. Each card adds its product with a product form.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The heading and list, hidden while there is nothing to recommend.
+ * @property {HTMLElement} list - The product cards.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendations extends Component {
+  requiredRefs = ['content', 'list'];
+
+  /**
+   * Recommendations are only requested once the drawer was opened.
+   * @type {IntersectionObserver}
+   */
+  #intersectionObserver = new IntersectionObserver(
+    (entries, observer) => {
+      if (!entries[0]?.isIntersecting) return;
+
+      observer.disconnect();
+      this.#visible = true;
+      this.#loadRecommendations(this.#getCartProductIds());
+    },
+    { rootMargin: '0px 0px 400px 0px' }
+  );
+
+  /** @type {boolean} */
+  #visible = false;
+
+  /**
+   * The cart products the rendered recommendations are for.
+   * @type {string | null}
+   */
+  #renderedFor = null;
+
+  /**
+   * An abort controller for the active load (if there is one). Aborting it discards the results of the load;
+   * the requests go through the section renderer, which shares them between callers, so they are not cancelled.
+   * @type {AbortController | null}
+   */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#intersectionObserver.observe(this);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    this.#activeFetch?.abort();
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart was rendered again, with the product IDs of its lines
+    this.#loadRecommendations(this.#getCartProductIds());
+  }
+
+  /**
+   * Uses the cart in the event when there is one, otherwise the cart is rendered again and updates the product IDs.
+   * @param {Event} event - A `CartUpdateEvent` or `CartAddEvent`.
+   */
+  #handleCartUpdate = (event) => {
+    const detail = 'detail' in event ? /** @type {CartEventDetail} */ (event.detail) : {};
+    const items = detail.resource?.items;
+
+    if (Array.isArray(items)) this.#loadRecommendations(items.map((item) => String(item.product_id)));
+  };
+
+  /**
+   * @returns {string[]} The IDs of the products in the cart, most recently added first.
+   */
+  #getCartProductIds() {
+    return (this.dataset.productIds ?? '').split(',').filter(Boolean);
+  }
+
+  /**
+   * Requests the recommendations for the cart products and renders the merged cards.
+   * @param {string[]} productIds - The products in the cart.
+   */
+  async #loadRecommendations(productIds) {
+    const cartProductIds = [...new Set(productIds)];
+    const key = cartProductIds.join(',');
+
+    if (!this.#visible || key === this.#renderedFor) return;
+
+    this.#renderedFor = key;
+    this.#activeFetch?.abort();
+
+    if (cartProductIds.length === 0) {
+      this.#render([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    this.#activeFetch = controller;
+
+    // The most recently added products are listed first
+    const seedProducts = Number(this.dataset.seedProducts) || DEFAULT_SEED_PRODUCTS;
+    const requests = cartProductIds
+      .slice(0, seedProducts)
+      .flatMap((productId) => INTENTS.map((intent) => this.#fetchRecommendations(productId, intent)));
+
+    const results = await Promise.allSettled(requests);
+
+    if (controller.signal.aborted) return;
+    this.#activeFetch = null;
+
+    // Nothing could be loaded, so the next cart update or render tries these products again
+    if (results.every((result) => result.status === 'rejected')) this.#renderedFor = null;
+
+    /** @type {Map<string, Element>} */
+    const cards = new Map();
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.error('Cart recommendations error:', result.reason);
+        continue;
+      }
+
+      const html = new DOMParser().parseFromString(result.value, 'text/html');
+
+      for (const card of html.querySelectorAll('[data-recommendation-product-id]')) {
+        const productId = card.getAttribute('data-recommendation-product-id') ?? '';
+
+        if (cartProductIds.includes(productId) || cards.has(productId)) continue;
+        cards.set(productId, card);
+      }
+    }
+
+    this.#render([...cards.values()].slice(0, Number(this.dataset.limit) || 4));
+  }
+
+  /**
+   * @param {Element[]} cards - The product cards to show.
+   */
+  #render(cards) {
+    const { content, list } = this.refs;
+
+    list.replaceChildren(...cards.map((card) => document.importNode(card, true)));
+    content.hidden = cards.length === 0;
+  }
+
+  /**
+   * Fetches the recommendations through the section renderer, which keeps a limited number of responses
+   * @param {string} productId
+   * @param {string} intent
+   * @returns {Promise<string>} The rendered recommendations section
+   */
+  #fetchRecommendations(productId, intent) {
+    const { url: baseUrl = '', limit = '', sectionId = '' } = this.dataset;
+    const url = new URL(baseUrl, window.location.origin);
+
+    url.searchParams.set('limit', limit);
+    url.searchParams.set('product_id', productId);
+    url.searchParams.set('intent', intent);
+
+    return sectionRenderer.getSectionHTML(sectionId, true, url);
+  }
+}
+
+if (!customElements.get('cart-recommendations')) {
+  customElements.define('cart-recommendations', CartRecommendations);
+}
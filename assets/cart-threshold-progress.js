@@ -0,0 +1,186 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * A spend goal on the progress bar.
+ *
+ * @typedef {object} Threshold
+ * @property {HTMLElement} marker - The marker of the goal on the bar.
+ * @property {number} amount - The goal in the cart currency, in cents.
+ * @property {string} remainingMessage - Shown until the goal is reached, with `[amount]` for the amount left.
+ * @property {string} reachedMessage - Shown and announced once the goal is reached.
+ */
+
+/**
+ * The part of a cart event's detail the total can be read from.
+ *
+ * @typedef {{ resource?: { total_price?: unknown }, data?: { sections?: Record<string, string> } }} CartEventDetail
+ */
+
+/**
+ * A progress bar towards spend goals, like free shipping, in the cart drawer and on the cart page.
+ *
+ * The goals are set in the store currency and converted with `Shopify.currency.rate`. The cart total is read
+ * from the payload of cart events when it has one, so most updates need no extra request.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The text about the next goal.
+ * @property {HTMLElement} bar - The progress bar.
+ * @property {HTMLElement} liveRegion - Announces the goals the cart reaches.
+ * @property {HTMLElement[]} thresholds - The goal markers, with the amount and messages in data attributes.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartThresholdProgress extends Component {
+  requiredRefs = ['message', 'bar', 'liveRegion', 'thresholds'];
+
+  /**
+   * The cart total currently shown, in cents.
+   * @type {number | null}
+   */
+  #total = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+
+    this.#render(Number(this.dataset.cartTotal));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The section was morphed; only the cart total attribute is updated, the bar keeps its state to animate from
+    this.#render(Number(this.dataset.cartTotal));
+  }
+
+  /**
+   * @param {Event} event - A `CartUpdateEvent`, `CartAddEvent` or `DiscountUpdateEvent`.
+   */
+  #handleCartUpdate = async (event) => {
+    const detail = 'detail' in event ? /** @type {CartEventDetail} */ (event.detail) : undefined;
+    const total = getCartTotal(detail) ?? (await fetchCartTotal());
+
+    if (total !== null) this.#render(total);
+  };
+
+  /**
+   * The goals, converted to the cart currency and sorted by amount.
+   * @returns {Threshold[]}
+   */
+  get thresholds() {
+    const rate = Number(Shopify.currency?.rate) || 1;
+
+    return this.refs.thresholds
+      .map((marker) => ({
+        marker,
+        amount: Math.ceil(Number(marker.dataset.amount) * 100 * rate),
+        remainingMessage: marker.dataset.remainingMessage ?? '',
+        reachedMessage: marker.dataset.reachedMessage ?? '',
+      }))
+      .filter((threshold) => threshold.amount > 0)
+      .sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * @param {number} total - The cart total, in cents.
+   */
+  #render(total) {
+    if (!Number.isFinite(total) || total === this.#total) return;
+
+    const { message, bar, liveRegion } = this.refs;
+    const { thresholds } = this;
+    const goal = thresholds[thresholds.length - 1];
+
+    if (!goal) return;
+
+    const previousTotal = this.#total;
+    this.#total = total;
+
+    for (const { marker, amount } of thresholds) {
+      marker.style.setProperty('--threshold-position', `${Math.min((amount / goal.amount) * 100, 100)}%`);
+      marker.toggleAttribute('data-reached', total >= amount);
+    }
+
+    const next = thresholds.find((threshold) => total < threshold.amount);
+    const text = next
+      ? next.remainingMessage.replace('[amount]', formatAmount(next.amount - total))
+      : goal.reachedMessage;
+
+    message.textContent = text;
+    bar.style.setProperty('--cart-threshold-progress', `${Math.min((total / goal.amount) * 100, 100)}%`);
+    bar.setAttribute('aria-valuemax', String(goal.amount));
+    bar.setAttribute('aria-valuenow', String(Math.min(total, goal.amount)));
+    bar.setAttribute('aria-valuetext', text);
+
+    // Only goals crossed by a change are announced, not the ones already reached when the page loaded
+    if (previousTotal === null) return;
+
+    const reached = thresholds.filter(({ amount }) => previousTotal < amount && total >= amount);
+    if (reached.length > 0) {
+      liveRegion.textContent = reached.map((threshold) => threshold.reachedMessage).join(' ');
+    }
+  }
+}
+
+/**
+ * Reads the cart total from a cart event, from the cart object or from a rendered section that contains the bar.
+ * @param {CartEventDetail | undefined} detail
+ * @returns {number | null} The total in cents, or `null` when the event does not include it.
+ */
+function getCartTotal(detail) {
+  const totalPrice = detail?.resource?.total_price;
+  if (typeof totalPrice === 'number') return totalPrice;
+
+  for (const html of Object.values(detail?.data?.sections ?? {})) {
+    if (typeof html !== 'string' || !html.includes('cart-threshold-progress')) continue;
+
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    const element = parsed.querySelector('cart-threshold-progress[data-cart-total]');
+    if (element instanceof HTMLElement) return Number(element.dataset.cartTotal);
+  }
+
+  return null;
+}
+
+/**
+ * @returns {Promise<number | null>} The cart total in cents.
+ */
+async function fetchCartTotal() {
+  try {
+    const response = await fetch(`${Theme.routes.cart_url}.js`);
+    const cart = await response.json();
+
+    return typeof cart.total_price === 'number' ? cart.total_price : null;
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+}
+
+/**
+ * @param {number} cents - An amount in the cart currency.
+ * @returns {string}
+ */
+function formatAmount(cents) {
+  try {
+    return new Intl.NumberFormat(Shopify.locale, { style: 'currency', currency: Shopify.currency.active }).format(
+      cents / 100
+    );
+  } catch {
+    return (cents / 100).toFixed(2);
+  }
+}
+
+if (!customElements.get('cart-threshold-progress')) {
+  customElements.define('cart-threshold-progress', CartThresholdProgress);
+}
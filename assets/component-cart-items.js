@@ -1,17 +1,40 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import {
+  debounce,
+  formatCents,
+  getCurrencyPrecision,
+  onAnimationEnd,
+  prefersReducedMotion,
+  resetShimmer,
+} from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartMutations, CartMutationQueuedError } from '@theme/cart-mutations';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
   DiscountUpdateEvent,
+  WishlistSaveEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { getGiftWithPurchaseState, syncGiftWithPurchase } from '@theme/gift-with-purchase';
+import { showToast } from '@theme/toast';
+
+/** How long to wait after the last quantity change on a line before sending it, in milliseconds */
+const QUANTITY_CHANGE_DEBOUNCE = 300;
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
+/**
+ * A quantity the customer picked that the server has not confirmed yet.
+ *
+ * @typedef {object} OptimisticLine
+ * @property {number} quantity - The quantity the customer picked.
+ * @property {number} serverQuantity - The quantity the server last rendered.
+ * @property {number} serverLinePrice - The line price the server last rendered, in cents.
+ */
+
 /**
  * A custom element that displays a cart items component.
  *
@@ -19,67 +42,98 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement} [pendingMessage] - The message shown while cart changes wait for a connection.
+ * @property {HTMLElement} [giftWithPurchase] - The gift with purchase rule, evaluated against the rendered cart.
+ * @property {HTMLElement} [giftSoldOutMessage] - The message shown when the cart qualifies for a gift that is sold out.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
-  #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
+  /**
+   * The lines whose quantity changed locally, by line key.
+   * @type {Map<string, OptimisticLine>}
+   */
+  #optimisticLines = new Map();
+
+  /**
+   * The debounced request for each line, so changes on one line don't cancel those on another.
+   * @type {Map<string, (() => void) & { cancel(): void }>}
+   */
+  #lineUpdates = new Map();
 
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
+    document.addEventListener(ThemeEvents.cartQueueUpdate, this.#renderPendingState);
+
+    this.#renderPendingState();
+    this.#syncGiftWithPurchase();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
+    document.removeEventListener(ThemeEvents.cartQueueUpdate, this.#renderPendingState);
+
+    for (const update of this.#lineUpdates.values()) update.cancel();
+    this.#lineUpdates.clear();
   }
 
   /**
    * Handles QuantitySelectorUpdateEvent change event.
+   * The line shows the new quantity and price right away, and the request is sent once the customer stops clicking.
    * @param {QuantitySelectorUpdateEvent} event - The event.
    */
-  #onQuantityChange(event) {
+  #onQuantityChange = (event) => {
     const { quantity, cartLine: line } = event.detail;
 
-    if (!line) return;
+    if (!line || !(event.target instanceof Node) || !this.contains(event.target)) return;
 
     if (quantity === 0) {
       return this.onLineItemRemove(line);
     }
 
-    this.updateQuantity({
-      line,
-      quantity,
-      action: 'change',
-    });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    const lineKey = this.refs.cartItemRows?.[line - 1]?.dataset.key;
 
-    if (!lineItemRow) return;
+    if (!lineKey) {
+      this.updateQuantity({ line, quantity, action: 'change' });
+      return;
+    }
 
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
-  }
+    this.#hideCartError(line);
+    this.#setOptimisticQuantity(lineKey, quantity);
+    this.#renderOptimisticState();
+    this.#getLineUpdate(lineKey)();
+  };
 
   /**
    * Handles the line item removal.
    * @param {number} line - The line item index.
+   * @returns {Promise<boolean>} Whether the line was removed, or queued to be removed.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const lineKey = cartItemRowToRemove?.dataset.key;
+
+    if (lineKey) {
+      this.#lineUpdates.get(lineKey)?.cancel();
+      this.#lineUpdates.delete(lineKey);
+      this.#setOptimisticQuantity(lineKey, 0);
+      this.#renderOptimisticState();
+    }
+
+    const removal = this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
-
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return removal;
 
     const rowsToRemove = [
       cartItemRowToRemove,
@@ -99,52 +153,94 @@ class CartItemsComponent extends Component {
       // Remove the row after the animation ends
       onAnimationEnd(row, remove);
     });
+
+    return removal;
+  }
+
+  /**
+   * Moves a line to the wishlist. The product is saved once the line was removed from the cart,
+   * using the product details on the button.
+   * @param {number} line - The line item index.
+   * @param {Event} event - The click event.
+   */
+  async saveForLater(line, event) {
+    const button = event.target instanceof Element ? event.target.closest('button') : null;
+    if (!(button instanceof HTMLButtonElement)) return;
+
+    const { productId, variantId, productPriceCents } = button.dataset;
+    if (!productId || !variantId) return;
+
+    button.disabled = true;
+
+    if (!(await this.onLineItemRemove(line))) {
+      button.disabled = false;
+      return;
+    }
+
+    const priceCents = Number.parseInt(productPriceCents ?? '', 10);
+
+    // The wishlist script saves the product, so the cart does not have to load it
+    document.dispatchEvent(
+      new WishlistSaveEvent(
+        {
+          id: productId,
+          title: button.dataset.productTitle ?? '',
+          image: button.dataset.productImage ?? '',
+          url: button.dataset.productUrl ?? '',
+          price: button.dataset.productPrice ?? '',
+          price_cents: Number.isNaN(priceCents) ? undefined : priceCents,
+          variant_id: variantId,
+          available: button.dataset.variantAvailable !== 'false',
+          handle: button.dataset.productHandle ?? '',
+        },
+        { message: Theme.translations.wishlist_saved_for_later }
+      )
+    );
   }
 
   /**
    * Updates the quantity.
+   * Only the line being changed is locked while the request is in flight.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the change was applied, or queued until the connection comes back.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
-    const { cartTotal } = this.refs;
+    const lineKey = this.refs.cartItemRows?.[line - 1]?.dataset.key;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
+    this.#getRow(lineKey)?.toggleAttribute('data-updating', true);
 
-    const body = JSON.stringify({
-      line: line,
+    // The line key still identifies the line if the change is queued and other lines are added or removed first
+    const body = {
+      ...(lineKey ? { id: lineKey } : { line }),
       quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
+      sections: this.#getSectionsToUpdate().join(','),
       sections_url: window.location.pathname,
-    });
+    };
 
-    cartTotal?.shimmer();
-
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    // Set once the line was rolled back, so an error while showing the cart error does not roll it back again
+    let rolledBack = false;
 
+    return cartMutations
+      .mutate({ type: 'change', body, lineKey, coalesceKey: lineKey && `change:${lineKey}` })
+      .then(async (parsedResponseText) => {
         resetShimmer(this);
 
         if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
+          rolledBack = true;
+          await this.#rollback(lineKey);
+          this.#handleCartError(this.#getLine(lineKey) ?? line, parsedResponseText);
+          return false;
+        }
+
+        // Keep the local quantity if the customer changed the line again while this request was in flight
+        if (lineKey && this.#optimisticLines.get(lineKey)?.quantity === quantity) {
+          this.#optimisticLines.delete(lineKey);
         }
 
         const newSectionHTML = new DOMParser().parseFromString(
@@ -164,13 +260,21 @@ class CartItemsComponent extends Component {
           })
         );
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        await morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        this.#syncGiftWithPurchase();
+        return true;
       })
-      .catch((error) => {
+      .catch(async (error) => {
+        // Queued changes keep their local quantity until they are replayed
+        if (error instanceof CartMutationQueuedError) return true;
+
         console.error(error);
+        if (!rolledBack) await this.#rollback(lineKey);
+        return false;
       })
       .finally(() => {
-        this.#enableCartItems();
+        this.#getRow(lineKey)?.removeAttribute('data-updating');
+        this.#renderLineStates();
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
@@ -190,6 +294,8 @@ class CartItemsComponent extends Component {
    * @param {string} parsedResponseText.errors - The errors.
    */
   #handleCartError = (line, parsedResponseText) => {
+    showToast(parsedResponseText.errors, { type: 'error' });
+
     const quantitySelector = this.refs.quantitySelectors[line - 1];
     const quantityInput = quantitySelector?.querySelector('input');
 
@@ -207,6 +313,16 @@ class CartItemsComponent extends Component {
     cartItemErrorContainer.classList.remove('hidden');
   };
 
+  /**
+   * Hides the error of a line, when the customer changes its quantity again.
+   * @param {number} line - The line.
+   */
+  #hideCartError(line) {
+    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+
+    if (cartItemErrorContainer instanceof HTMLElement) cartItemErrorContainer.classList.add('hidden');
+  }
+
   /**
    * Handles the cart update.
    *
@@ -214,31 +330,223 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      // A failed render flags the section and dispatches `section:render-error`, the cart keeps its markup
+      sectionRenderer.renderSection(this.sectionId, { cache: false }).catch((error) => console.error(error));
       return;
     }
     if (event.target === this) return;
 
+    // Once queued changes are replayed, the server state replaces the local quantities they were showing
+    if (event.detail.data.source === 'cart-mutations') {
+      const pendingLineKeys = new Set(cartMutations.pending.map((mutation) => mutation.lineKey));
+
+      for (const lineKey of this.#optimisticLines.keys()) {
+        if (!pendingLineKeys.has(lineKey) && !this.#lineUpdates.has(lineKey)) this.#optimisticLines.delete(lineKey);
+      }
+    }
+
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
-    if (cartItemsHtml) {
-      morphSection(this.sectionId, cartItemsHtml);
-    } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+    const render = cartItemsHtml
+      ? morphSection(this.sectionId, cartItemsHtml)
+      : sectionRenderer.renderSection(this.sectionId, { cache: false });
+
+    render
+      .then(() => {
+        this.#renderLineStates();
+        this.#syncGiftWithPurchase();
+      })
+      .catch((error) => console.error(error));
+  };
+
+  /**
+   * Adds or removes the gift with purchase to match the rendered cart.
+   * Waits while quantity changes are still to be sent, the cart is checked again once they are rendered.
+   */
+  #syncGiftWithPurchase() {
+    const { giftWithPurchase } = this.refs;
+    if (!giftWithPurchase) return;
+
+    this.#renderGiftSoldOutMessage();
+
+    if (this.#lineUpdates.size > 0 || this.#optimisticLines.size > 0) return;
+
+    // A gift refused by the server, for example because it sold out after the cart was rendered, shows as sold out
+    syncGiftWithPurchase(giftWithPurchase, this.#getSectionsToUpdate()).then(() => this.#renderGiftSoldOutMessage());
+  }
+
+  /**
+   * Tells the customer when the cart qualifies for a gift that cannot be added.
+   */
+  #renderGiftSoldOutMessage() {
+    const { giftWithPurchase, giftSoldOutMessage } = this.refs;
+    if (!giftWithPurchase || !giftSoldOutMessage) return;
+
+    const { qualifies, lineKey, available } = getGiftWithPurchaseState(giftWithPurchase);
+    giftSoldOutMessage.toggleAttribute('hidden', !qualifies || lineKey !== '' || available);
+  }
+
+  /**
+   * The sections of every cart on the page, rendered with each change so they stay in sync.
+   * @returns {string[]}
+   */
+  #getSectionsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
+
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
+
+    return Array.from(sectionsToUpdate);
+  }
+
+  /**
+   * Returns the debounced request for a line, sent with the last quantity the customer picked.
+   * @param {string} lineKey - The line key.
+   */
+  #getLineUpdate(lineKey) {
+    let update = this.#lineUpdates.get(lineKey);
+
+    if (!update) {
+      update = debounce(() => {
+        this.#lineUpdates.delete(lineKey);
+
+        const line = this.#getLine(lineKey);
+        const optimisticLine = this.#optimisticLines.get(lineKey);
+
+        if (!line || !optimisticLine) return;
+
+        this.updateQuantity({ line, quantity: optimisticLine.quantity, action: 'change' });
+      }, QUANTITY_CHANGE_DEBOUNCE);
+
+      this.#lineUpdates.set(lineKey, update);
+    }
+
+    return update;
+  }
+
+  /**
+   * Restores the line to the server state after a failed change.
+   * @param {string} [lineKey] - The line key.
+   */
+  async #rollback(lineKey) {
+    if (lineKey) this.#optimisticLines.delete(lineKey);
+
+    const quantityInput = this.#getRow(lineKey)?.querySelector('input[data-cart-line]');
+    if (quantityInput instanceof HTMLInputElement) quantityInput.value = quantityInput.defaultValue;
+
+    try {
+      await sectionRenderer.renderSection(this.sectionId, { cache: false });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * @param {string} lineKey - The line key.
+   * @param {number} quantity - The quantity the customer picked.
+   */
+  #setOptimisticQuantity(lineKey, quantity) {
+    const row = this.#getRow(lineKey);
+    const previous = this.#optimisticLines.get(lineKey);
+
+    this.#optimisticLines.set(lineKey, {
+      quantity,
+      serverQuantity: row ? Number(row.dataset.quantity) : previous?.serverQuantity ?? 0,
+      serverLinePrice: row ? Number(row.dataset.linePrice) : previous?.serverLinePrice ?? 0,
+    });
+  }
+
+  /**
+   * Shows the local quantities and prices again after the section was rendered from the server.
+   */
+  #renderLineStates = () => {
+    this.#renderOptimisticState();
+    this.#renderPendingState();
+  };
+
+  /**
+   * Shows the quantities the customer picked, with their line prices and the cart total they lead to.
+   */
+  #renderOptimisticState() {
+    const { cartTotal } = this.refs;
+    let totalDifference = 0;
+
+    for (const [lineKey, optimisticLine] of this.#optimisticLines) {
+      const row = this.#getRow(lineKey);
+
+      // Keep the server values current, the section may have been rendered since the change
+      if (row) {
+        optimisticLine.serverQuantity = Number(row.dataset.quantity);
+        optimisticLine.serverLinePrice = Number(row.dataset.linePrice);
+      }
+
+      const { quantity, serverQuantity, serverLinePrice } = optimisticLine;
+      const linePrice = serverQuantity > 0 ? Math.round((serverLinePrice / serverQuantity) * quantity) : 0;
+      totalDifference += linePrice - serverLinePrice;
+
+      if (!row) continue;
+
+      const quantityInput = row.querySelector('input[data-cart-line]');
+      if (quantityInput instanceof HTMLInputElement) quantityInput.value = String(quantity);
+
+      const linePriceElement = row.querySelector('.cart-items__price > text-component');
+      if (linePriceElement instanceof HTMLElement) this.#renderPrice(linePriceElement, linePrice);
+    }
+
+    const serverTotal = Number(cartTotal?.dataset.totalPrice);
+
+    if (cartTotal && totalDifference !== 0 && Number.isFinite(serverTotal)) {
+      this.#renderPrice(cartTotal, Math.max(0, serverTotal + totalDifference));
+    }
+  }
+
+  /**
+   * @param {HTMLElement} element - A price rendered with a `data-money-format` and the `data-currency` of the cart.
+   * @param {number} cents - The price in cents.
+   */
+  #renderPrice(element, cents) {
+    const { moneyFormat, currency = '' } = element.dataset;
+    if (!moneyFormat) return;
+
+    const price = formatCents(cents, moneyFormat, { currency, precision: getCurrencyPrecision(currency) });
+    element.textContent = price;
+    element.setAttribute('value', price);
+  }
+
+  /**
+   * Marks the lines with changes waiting for a connection, and shows the offline message while any change waits.
+   */
+  #renderPendingState = () => {
+    const { pending } = cartMutations;
+    const pendingLineKeys = new Set(pending.map((mutation) => mutation.lineKey));
+
+    for (const row of this.refs.cartItemRows ?? []) {
+      row.toggleAttribute('data-pending', pendingLineKeys.has(row.dataset.key));
     }
+
+    this.refs.pendingMessage?.toggleAttribute('hidden', pending.length === 0);
   };
 
   /**
-   * Disables the cart items.
+   * @param {string} [lineKey] - The line key.
+   * @returns {HTMLTableRowElement | undefined} The row of the line.
    */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
+  #getRow(lineKey) {
+    if (!lineKey) return undefined;
+
+    return this.refs.cartItemRows?.find((row) => row.dataset.key === lineKey && !row.classList.contains('removing'));
   }
 
   /**
-   * Enables the cart items.
+   * @param {string} [lineKey] - The line key.
+   * @returns {number | undefined} The current 1-based index of the line.
    */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
+  #getLine(lineKey) {
+    const row = this.#getRow(lineKey);
+
+    return row ? this.refs.cartItemRows.indexOf(row) + 1 : undefined;
   }
 
   /**
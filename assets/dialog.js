@@ -40,6 +40,12 @@ export class DialogComponent extends Component {
 
   #previousScrollY = 0;
 
+  /**
+   * Whether the dialog was opened from another open dialog, like the cart drawer.
+   * The page stays locked by the other dialog, and Escape or a click outside only closes this one.
+   */
+  #nested = false;
+
   /**
    * Shows the dialog.
    */
@@ -50,12 +56,15 @@ export class DialogComponent extends Component {
 
     const scrollY = window.scrollY;
     this.#previousScrollY = scrollY;
+    this.#nested = this.parentElement?.closest('dialog[open]') != null;
 
     // Prevent layout thrashing by separating DOM reads from DOM writes
     requestAnimationFrame(() => {
-      document.body.style.width = '100%';
-      document.body.style.position = 'fixed';
-      document.body.style.top = `-${scrollY}px`;
+      if (!this.#nested) {
+        document.body.style.width = '100%';
+        document.body.style.position = 'fixed';
+        document.body.style.top = `-${scrollY}px`;
+      }
 
       dialog.showModal();
       this.dispatchEvent(new DialogOpenEvent());
@@ -82,10 +91,12 @@ export class DialogComponent extends Component {
       subtree: false,
     });
 
-    document.body.style.width = '';
-    document.body.style.position = '';
-    document.body.style.top = '';
-    window.scrollTo({ top: this.#previousScrollY, behavior: 'instant' });
+    if (!this.#nested) {
+      document.body.style.width = '';
+      document.body.style.position = '';
+      document.body.style.top = '';
+      window.scrollTo({ top: this.#previousScrollY, behavior: 'instant' });
+    }
 
     dialog.close();
     dialog.classList.remove('dialog-closing');
@@ -113,6 +124,7 @@ export class DialogComponent extends Component {
     const { dialog } = this.refs;
 
     if (isClickedOutside(event, dialog)) {
+      if (this.#nested) event.stopPropagation();
       this.closeDialog();
     }
   }
@@ -126,6 +138,7 @@ export class DialogComponent extends Component {
     if (event.key !== 'Escape') return;
 
     event.preventDefault();
+    if (this.#nested) event.stopPropagation();
     this.closeDialog();
   }
 
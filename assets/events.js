@@ -14,6 +14,8 @@ export class ThemeEvents {
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when cart changes are queued while offline, or replayed */
+  static cartQueueUpdate = 'cart:queue-update';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -26,6 +28,14 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when products are saved to or removed from the wishlist */
+  static wishlistUpdate = 'wishlist:update';
+  /** @static @constant {string} Event triggered when a saved product dropped in price or came back in stock */
+  static wishlistItemChange = 'wishlist:item-changed';
+  /** @static @constant {string} Event dispatched to ask the wishlist to save a product */
+  static wishlistSave = 'wishlist:save';
+  /** @static @constant {string} Event triggered when a section could not be rendered, after any retries */
+  static sectionRenderError = 'section:render-error';
 }
 
 /**
@@ -168,6 +178,25 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for changes to the queue of cart mutations waiting for a connection
+ * @extends {Event}
+ */
+export class CartQueueUpdateEvent extends Event {
+  /**
+   * Creates a new CartQueueUpdateEvent
+   * @param {import('./cart-mutations').PendingCartMutation[]} pending - The queued mutations, oldest first
+   */
+  constructor(pending) {
+    super(CartQueueUpdateEvent.eventName, { bubbles: true });
+    this.detail = {
+      pending,
+    };
+  }
+
+  static eventName = ThemeEvents.cartQueueUpdate;
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -287,3 +316,88 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for wishlist updates
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {Object} data - The wishlist state after the update
+   * @param {number} data.count - The number shown by wishlist counters
+   * @param {import('./wishlist').WishlistItem[]} data.items - Every saved item, across all lists
+   * @param {import('./wishlist').WishlistList[]} data.lists - The customer's lists
+   * @param {string} data.activeListId - The id of the list shown on the wishlist page
+   */
+  constructor(data) {
+    super(WishlistUpdateEvent.eventName, { bubbles: true });
+    this.detail = {
+      ...data,
+    };
+  }
+
+  static eventName = ThemeEvents.wishlistUpdate;
+}
+
+/**
+ * Event class for price drops and restocks of saved products
+ * @extends {Event}
+ */
+export class WishlistItemChangeEvent extends Event {
+  /**
+   * Creates a new WishlistItemChangeEvent
+   * @param {import('./wishlist').WishlistItemChange} change - The item and what changed since it was last seen
+   */
+  constructor(change) {
+    super(WishlistItemChangeEvent.eventName, { bubbles: true });
+    this.detail = {
+      ...change,
+    };
+  }
+
+  static eventName = ThemeEvents.wishlistItemChange;
+}
+
+/**
+ * Event class for saving a product to the wishlist from code that should not load the wishlist itself
+ * @extends {Event}
+ */
+export class WishlistSaveEvent extends Event {
+  /**
+   * Creates a new WishlistSaveEvent
+   * @param {import('./wishlist').WishlistItem} product - The product to save
+   * @param {import('./wishlist').WishlistChangeOptions} [options] - Options for the save
+   */
+  constructor(product, options = {}) {
+    super(WishlistSaveEvent.eventName, { bubbles: true });
+    this.detail = {
+      product,
+      options,
+    };
+  }
+
+  static eventName = ThemeEvents.wishlistSave;
+}
+
+/**
+ * Event class for sections the Section Rendering API could not render
+ * @extends {Event}
+ */
+export class SectionRenderErrorEvent extends Event {
+  /**
+   * Creates a new SectionRenderErrorEvent
+   * @param {import('./section-renderer').SectionRenderError} error - The error, with the section ID, URL and status
+   */
+  constructor(error) {
+    super(SectionRenderErrorEvent.eventName, { bubbles: true });
+    this.detail = {
+      sectionId: error.sectionId,
+      url: error.url,
+      status: error.status,
+      error,
+    };
+  }
+
+  static eventName = ThemeEvents.sectionRenderError;
+}
@@ -1,7 +1,17 @@
-import { sectionRenderer } from '@theme/section-renderer';
+import { sectionRenderer, SectionRenderError } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, startViewTransition } from '@theme/utilities';
+import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
+import {
+  debounce,
+  DEFAULT_CURRENCY_DECIMALS,
+  formatCents,
+  getCurrencyPrecision,
+  isMobileBreakpoint,
+  normalizeString,
+  startViewTransition,
+} from '@theme/utilities';
+import { FilterPresets, getFilterParameters } from '@theme/filter-presets';
 
 /**
  * Search query parameter.
@@ -11,13 +21,6 @@ const SEARCH_QUERY = 'q';
 const PRICE_FILTER_MIN_PARAM = 'filter.v.price.gte';
 const PRICE_FILTER_MAX_PARAM = 'filter.v.price.lte';
 
-/**
- * @param {string} currency
- * @returns {number}
- */
-const getCurrencyPrecision = (currency) =>
-  CURRENCY_DECIMALS[currency?.toUpperCase() ?? ''] ?? DEFAULT_CURRENCY_DECIMALS;
-
 /**
  * @param {ParentNode | null} root
  * @returns {string}
@@ -103,18 +106,102 @@ const parseMoneyInput = (value, precision) => {
   return Number(normalized);
 };
 
+/**
+ * The step of the price slider, a round amount that splits the range into about a hundred steps
+ * @param {number} rangeMax - The highest price, in cents
+ * @param {number} precision - The number of decimals of the currency
+ * @returns {number} The step, in cents
+ */
+const getPriceSliderStep = (rangeMax, precision) => {
+  const smallestAmount = 10 ** Math.max(0, 2 - precision);
+  const approximateStep = rangeMax / 100;
+
+  if (approximateStep <= smallestAmount) return smallestAmount;
+
+  const magnitude = 10 ** Math.floor(Math.log10(approximateStep));
+  const step = [1, 2, 5, 10].map((multiple) => multiple * magnitude).find((amount) => amount >= approximateStep);
+
+  return Math.max(smallestAmount, step ?? approximateStep);
+};
+
+/**
+ * The filters, sorting and search of the results on the page, to tell a back or forward navigation that
+ * changes them from one that only changes the page of the results
+ * @type {string}
+ */
+let renderedResultsKey = getResultsKey(window.location.href);
+
+/**
+ * @param {string | URL} url
+ * @returns {string} The URL parameters that change the results, in a stable order
+ */
+function getResultsKey(url) {
+  const parameters = new URL(url, window.location.href).searchParams;
+
+  parameters.delete('page');
+  parameters.sort();
+
+  return parameters.toString();
+}
+
+/**
+ * Keeps the scroll position in the current history entry, so it can be restored when the customer comes back to it
+ */
+function saveScrollPosition() {
+  const state = history.state && typeof history.state === 'object' ? history.state : {};
+  history.replaceState({ ...state, scrollY: window.scrollY }, '');
+}
+
 /**
  * Handles the main facets form functionality
  *
+ * With `apply-mode="staged"`, the form in the filter drawer only applies the filters on mobile when the customer
+ * presses the results button. Until then, the button shows how many products the selected filters would show.
+ *
+ * Going back or forward to a URL with other filters renders its results again, from the cache when they were seen
+ * before, and scrolls to where the customer was on that page.
+ *
  * @typedef {Object} FacetsFormRefs
  * @property {HTMLFormElement} facetsForm - The main facets form element
  * @property {HTMLElement | undefined} facetStatus - The facet status element
+ * @property {HTMLElement | undefined} renderError - The message shown when the results could not be updated
  *
  * @extends {Component<FacetsFormRefs>}
  */
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  /**
+   * Whether the form holds filters that were selected but not applied yet
+   * @type {boolean}
+   */
+  #hasStagedFilters = false;
+
+  /**
+   * The URL of the latest result count preview, so an earlier preview resolving late is ignored
+   * @type {string}
+   */
+  #previewUrl = '';
+
+  /**
+   * Aborted when a newer render of the results starts, so a failure of the earlier one is not shown
+   * @type {AbortController | null}
+   */
+  #renderController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.closest('dialog-component')?.addEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+    window.addEventListener('popstate', this.#handlePopState);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.closest('dialog-component')?.removeEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+    window.removeEventListener('popstate', this.#handlePopState);
+    this.#previewResults.cancel();
+  }
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -174,38 +261,206 @@ class FacetsFormComponent extends Component {
       url.searchParams.append(param, value);
     }
 
+    saveScrollPosition();
     history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
+    renderedResultsKey = getResultsKey(url);
   }
 
   /**
-   * Updates filters and renders the section
+   * Updates filters and renders the section, or previews the result count when the filters are staged
    */
   updateFilters = () => {
+    if (this.#isStaged) {
+      this.#hasStagedFilters = true;
+      this.#previewResults();
+      return;
+    }
+
+    this.#applyFilters();
+  };
+
+  /**
+   * Applies the staged filters and closes the filter drawer
+   */
+  showResults = () => {
+    if (this.#hasStagedFilters) this.#applyFilters();
+
+    const dialog = this.closest('dialog-component');
+    if (dialog instanceof DialogComponent) dialog.closeDialog();
+  };
+
+  #applyFilters() {
+    this.#hasStagedFilters = false;
+    this.#previewResults.cancel();
     this.#updateURLHash();
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
+  }
+
+  /**
+   * Whether filters are only applied from the results button
+   * @returns {boolean}
+   */
+  get #isStaged() {
+    return this.getAttribute('apply-mode') === 'staged' && isMobileBreakpoint();
+  }
+
+  /**
+   * Filters staged and left without pressing the results button are discarded,
+   * rendering the form again with the filters that are applied.
+   */
+  #handleDialogClose = () => {
+    if (!this.#hasStagedFilters) return;
+
+    this.#hasStagedFilters = false;
+    this.#previewResults.cancel();
+    this.#previewUrl = '';
+    this.#updateSection();
   };
 
+  /**
+   * Shows the result count of the staged filters on the results button, without rendering the results.
+   * The section is requested through the section renderer cache, so applying the filters afterwards is instant.
+   */
+  #previewResults = debounce(async () => {
+    const button = document.getElementById(`${this.id}-results`);
+    const url = new URL(window.location.pathname, window.location.origin);
+
+    for (const [key, value] of this.createURLParameters()) url.searchParams.append(key, value);
+
+    const previewUrl = url.toString();
+    this.#previewUrl = previewUrl;
+    button?.setAttribute('aria-busy', 'true');
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(this.sectionId, true, url);
+      if (this.#previewUrl !== previewUrl) return;
+
+      const preview = new DOMParser().parseFromString(html, 'text/html').getElementById(`${this.id}-results`);
+
+      if (button instanceof HTMLButtonElement && preview) {
+        button.textContent = preview.textContent;
+        button.disabled = preview.dataset.productsCount === '0';
+      }
+    } catch {
+      // The count is best effort, the results are requested again when the filters are applied
+    } finally {
+      if (this.#previewUrl === previewUrl) button?.removeAttribute('aria-busy');
+    }
+  }, 200);
+
+  /**
+   * Renders the results of the URL the customer went back or forward to
+   * @param {PopStateEvent} event
+   */
+  #handlePopState = async (event) => {
+    const resultsKey = getResultsKey(window.location.href);
+
+    // The paginated list adds history entries for the pages it loads, those keep the results on the page
+    if (resultsKey === renderedResultsKey) return;
+
+    renderedResultsKey = resultsKey;
+    this.#hasStagedFilters = false;
+    this.#previewResults.cancel();
+
+    const parameters = new URLSearchParams(window.location.search);
+    const scrollY = event.state?.scrollY;
+
+    this.#restoreInputs(parameters);
+    this.dispatchEvent(new FilterUpdateEvent(parameters));
+
+    await this.#updateSection();
+
+    if (typeof scrollY === 'number') window.scrollTo({ top: scrollY });
+  };
+
+  /**
+   * Checks the inputs and fills in the prices of the filters in the URL, before the section is rendered
+   * @param {URLSearchParams} parameters
+   */
+  #restoreInputs(parameters) {
+    for (const element of this.refs.facetsForm.elements) {
+      if (!(element instanceof HTMLInputElement) || !element.name) continue;
+
+      if (element.type === 'checkbox' || element.type === 'radio') {
+        element.checked = parameters.getAll(element.name).includes(element.value);
+      } else if (element.type === 'text') {
+        element.value = parameters.get(element.name) ?? '';
+      }
+    }
+
+    for (const priceFacet of this.querySelectorAll('price-facet-component')) {
+      if (priceFacet instanceof PriceFacetComponent) priceFacet.updateSlider();
+    }
+  }
+
   /**
    * Updates the section
+   * @returns {Promise<unknown>} Resolves when the results are rendered
    */
   #updateSection() {
     const viewTransition = !this.closest('dialog');
 
-    if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
-    } else {
-      sectionRenderer.renderSection(this.sectionId);
-    }
+    this.#toggleRenderError(false);
+
+    const controller = new AbortController();
+    this.#renderController?.abort();
+    this.#renderController = controller;
+
+    // A failed render keeps the current results, so the form stays usable and offers to try again.
+    // Renders replaced by a newer one are not failures.
+    const render = () =>
+      sectionRenderer.renderSection(this.sectionId).catch((error) => {
+        if (controller.signal.aborted || (error instanceof DOMException && error.name === 'AbortError')) return;
+
+        if (error instanceof SectionRenderError) {
+          this.#toggleRenderError(true);
+        } else {
+          console.error(error);
+        }
+      });
+
+    if (viewTransition) return startViewTransition(render, ['product-grid']);
+
+    return render();
+  }
+
+  /**
+   * Renders the results again after an update failed
+   */
+  retryUpdate() {
+    this.#updateSection();
+  }
+
+  /**
+   * @param {boolean} hasError
+   */
+  #toggleRenderError(hasError) {
+    const { renderError } = this.refs;
+    if (renderError) renderError.hidden = !hasError;
   }
 
   /**
    * Updates filters based on a provided URL
    * @param {string} url - The URL to update filters with
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Replaces the history entry, for filters the customer did not pick
    */
-  updateFiltersByURL(url) {
-    history.pushState('', '', url);
-    this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
+  updateFiltersByURL(url, { replace = false } = {}) {
+    this.#hasStagedFilters = false;
+    this.#previewResults.cancel();
+
+    if (replace) {
+      history.replaceState('', '', url);
+    } else {
+      saveScrollPosition();
+      history.pushState('', '', url);
+    }
+
+    renderedResultsKey = getResultsKey(url);
+
+    // The form still shows the previous filters until the section is rendered, so the event uses the URL
+    this.dispatchEvent(new FilterUpdateEvent(new URL(url, window.location.href).searchParams));
     this.#updateSection();
   }
 }
@@ -217,10 +472,17 @@ if (!customElements.get('facets-form-component')) {
 /**
  * @typedef {Object} FacetInputsRefs
  * @property {HTMLInputElement[]} facetInputs - The facet input elements
+ * @property {HTMLInputElement} [searchInput] - The box to search the values of a long list
+ * @property {HTMLElement} [searchEmpty] - The message shown when no value matches the search
+ * @property {HTMLElement} [searchStatus] - The live region announcing how many values match the search
  */
 
 /**
  * Handles individual facet input functionality
+ *
+ * Long lists can have a search box that narrows the values shown, including the values folded under "Show more".
+ * The arrow keys move from the search box through the values that are shown.
+ *
  * @extends {Component<FacetInputsRefs>}
  */
 class FacetInputsComponent extends Component {
@@ -230,10 +492,45 @@ class FacetInputsComponent extends Component {
     return id;
   }
 
+  /**
+   * The items of the values that were selected when the page loaded. Long lists show them first,
+   * and keep them there while filters change, so values do not move under the customer's pointer.
+   * @type {Set<string> | undefined}
+   */
+  #pinnedItemIds;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    if (!this.#pinnedItemIds) {
+      this.#pinnedItemIds = new Set(
+        this.#getListItems()
+          .filter((item) => item.querySelector('input:checked'))
+          .map((item) => item.id)
+      );
+    }
+
+    this.#pinSelectedValues();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The rendered list is in the store's order again
+    this.#pinSelectedValues();
+
+    // The search box keeps its value when the section is rendered, the values are listed again
+    if (this.refs.searchInput?.value) this.filterValues();
+  }
+
   /**
    * Updates filters and the selected facet summary
+   * @param {Event} [event] - The change event
    */
-  updateFilters() {
+  updateFilters(event) {
+    // Searching the values does not change the filters
+    if (event && event.composedPath()[0] === this.refs.searchInput) return;
+
     const facetsForm = this.closest('facets-form-component');
 
     if (!(facetsForm instanceof FacetsFormComponent)) return;
@@ -287,7 +584,8 @@ class FacetInputsComponent extends Component {
 
     if (inputElement.checked) url.searchParams.delete(inputElement.name, inputElement.value);
 
-    sectionRenderer.getSectionHTML(this.sectionId, true, url);
+    // Prefetching is best effort, a failure is retried when the filter is applied
+    sectionRenderer.getSectionHTML(this.sectionId, true, url).catch(() => {});
   }, 200);
 
   cancelPrefetchPage = () => this.prefetchPage.cancel();
@@ -307,6 +605,138 @@ class FacetInputsComponent extends Component {
     statusComponent.updateListSummary(checkedInputElements);
   }
 
+  /**
+   * Shows the values whose label contains the search, ignoring case and accents
+   */
+  filterValues() {
+    const { searchInput, searchEmpty, searchStatus } = this.refs;
+    if (!(searchInput instanceof HTMLInputElement)) return;
+
+    const query = normalizeString(searchInput.value.trim());
+    const showMore = this.querySelector('show-more-component');
+    const isCollapsed = showMore instanceof HTMLElement && showMore.dataset.expanded !== 'true';
+    let matchCount = 0;
+
+    for (const item of this.#getListItems()) {
+      const matches = normalizeString(item.textContent ?? '').includes(query);
+
+      item.hidden = !matches;
+      if (matches) matchCount++;
+
+      // Values folded under "Show more" are unfolded while searching, and folded again after
+      if (query) {
+        for (const className of ['hidden', 'mobile:hidden']) {
+          if (!item.classList.contains(className)) continue;
+
+          item.dataset.foldedClass = className;
+          item.classList.remove(className);
+        }
+      } else if (item.dataset.foldedClass) {
+        if (isCollapsed) item.classList.add(item.dataset.foldedClass);
+        delete item.dataset.foldedClass;
+      }
+    }
+
+    this.toggleAttribute('data-searching', query !== '');
+
+    if (searchEmpty) searchEmpty.hidden = matchCount > 0;
+    if (searchStatus) {
+      searchStatus.textContent = query ? (searchStatus.dataset.template ?? '').replace('[count]', `${matchCount}`) : '';
+    }
+  }
+
+  /**
+   * Moves to the values with the down arrow, and clears the search with Escape
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleSearchKeyDown(event) {
+    const { searchInput } = this.refs;
+    if (!(searchInput instanceof HTMLInputElement)) return;
+
+    switch (event.key) {
+      case 'Enter':
+        // The search box is in the filters form, which would be submitted
+        event.preventDefault();
+        break;
+      case 'Escape':
+        if (!searchInput.value) return;
+
+        // Only the search is cleared, the filter drawer stays open
+        event.preventDefault();
+        event.stopPropagation();
+        searchInput.value = '';
+        this.filterValues();
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        this.#getFocusableValues()[0]?.focus();
+        break;
+    }
+  }
+
+  /**
+   * Moves between the values shown with the arrow keys, going up from the first value returns to the search box
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleListKeyDown(event) {
+    if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+
+    const values = this.#getFocusableValues();
+    const index = values.findIndex((value) => value === document.activeElement);
+    if (index === -1) return;
+
+    event.preventDefault();
+
+    if (event.key === 'ArrowDown') {
+      values[Math.min(index + 1, values.length - 1)]?.focus();
+    } else if (index === 0) {
+      this.refs.searchInput?.focus();
+    } else {
+      values[index - 1]?.focus();
+    }
+  }
+
+  /**
+   * @returns {HTMLElement[]} The items of the values list
+   */
+  #getListItems() {
+    return Array.from(this.querySelectorAll('.facets__inputs-list-item')).filter(
+      (item) => item instanceof HTMLElement
+    );
+  }
+
+  /**
+   * Moves the values that were selected when the page loaded to the top of a long list
+   */
+  #pinSelectedValues() {
+    const list = this.querySelector('.facets__inputs-list[data-pin-selected]');
+    if (!list || !this.#pinnedItemIds?.size) return;
+
+    const pinnedItems = this.#getListItems().filter((item) => this.#pinnedItemIds?.has(item.id));
+    if (pinnedItems.every((item, index) => list.children[index] === item)) return;
+
+    // Moving an item drops the focus inside it
+    const { activeElement } = document;
+    list.prepend(...pinnedItems);
+    if (activeElement instanceof HTMLElement && activeElement !== document.activeElement) activeElement.focus();
+  }
+
+  /**
+   * @returns {HTMLElement[]} The element to focus for each value that is shown and can be selected
+   */
+  #getFocusableValues() {
+    /** @type {HTMLElement[]} */
+    const values = [];
+
+    for (const item of this.#getListItems()) {
+      if (item.hidden || item.getClientRects().length === 0) continue;
+
+      const value = item.querySelector('input:not([tabindex="-1"]):not(:disabled), label[tabindex="0"]');
+      if (value instanceof HTMLElement) values.push(value);
+    }
+
+    return values;
+  }
 }
 
 if (!customElements.get('facet-inputs-component')) {
@@ -317,6 +747,9 @@ if (!customElements.get('facet-inputs-component')) {
  * @typedef {Object} PriceFacetRefs
  * @property {HTMLInputElement} minInput - The minimum price input
  * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLElement} [slider] - The wrapper of the range slider
+ * @property {HTMLInputElement} [minRange] - The thumb of the minimum price, in cents
+ * @property {HTMLInputElement} [maxRange] - The thumb of the maximum price, in cents
  */
 
 /**
@@ -327,6 +760,12 @@ class PriceFacetComponent extends Component {
   connectedCallback() {
     super.connectedCallback();
     this.addEventListener('keydown', this.#onKeyDown);
+    this.updateSlider();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.updateSlider();
   }
 
   disconnectedCallback() {
@@ -340,6 +779,7 @@ class PriceFacetComponent extends Component {
    */
   #onKeyDown = (event) => {
     if (event.metaKey) return;
+    if (event.target instanceof HTMLInputElement && event.target.type === 'range') return;
 
     const pattern = /[0-9]|\.|,|'| |Tab|Backspace|Enter|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Delete|Escape/;
     if (!event.key.match(pattern)) event.preventDefault();
@@ -368,6 +808,119 @@ class PriceFacetComponent extends Component {
     facetsForm.updateFilters();
     this.#setMinAndMaxValues();
     this.#updateSummary();
+    this.updateSlider();
+  }
+
+  /**
+   * Moves the inputs along with a thumb while it is dragged, the results are filtered when it is released
+   * @param {Event} event - The input event
+   */
+  handleSliderInput(event) {
+    const { minRange, maxRange } = this.refs;
+    if (!(minRange instanceof HTMLInputElement) || !(maxRange instanceof HTMLInputElement)) return;
+
+    // The thumbs can meet but not cross
+    if (Number(minRange.value) > Number(maxRange.value)) {
+      if (event.target === minRange) {
+        minRange.value = maxRange.value;
+      } else {
+        maxRange.value = minRange.value;
+      }
+    }
+
+    this.#setInputsFromSlider();
+    this.#renderSlider();
+    this.#updateSummary();
+  }
+
+  /**
+   * Moves a thumb by a tenth of the range with Page Up and Page Down, other keys are handled by the browser
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleSliderKeyDown(event) {
+    const input = event.target;
+    if (!(input instanceof HTMLInputElement)) return;
+    if (event.key !== 'PageUp' && event.key !== 'PageDown') return;
+
+    event.preventDefault();
+
+    const step = Number(input.step) || 1;
+    const max = Number(input.max);
+    const pageStep = Math.max(step, Math.round(max / 10 / step) * step);
+    const direction = event.key === 'PageUp' ? 1 : -1;
+    const value = Math.min(max, Math.max(0, Number(input.value) + direction * pageStep));
+
+    if (value === Number(input.value)) return;
+
+    input.value = String(value);
+    this.handleSliderInput(event);
+    this.updatePriceFilterAndResults();
+  }
+
+  /**
+   * Moves the thumbs to the prices in the inputs
+   */
+  updateSlider() {
+    const { slider, minRange, maxRange, minInput, maxInput } = this.refs;
+    if (!(slider instanceof HTMLElement)) return;
+    if (!(minRange instanceof HTMLInputElement) || !(maxRange instanceof HTMLInputElement)) return;
+
+    const precision = this.#getCurrencyPrecision();
+    const rangeMax = Number(slider.dataset.rangeMax);
+    const step = getPriceSliderStep(rangeMax, precision);
+    // A range input only reaches whole steps, so the last step may go past the highest price
+    const sliderMax = String(Math.ceil(rangeMax / step) * step);
+
+    for (const range of [minRange, maxRange]) {
+      range.step = String(step);
+      range.max = sliderMax;
+    }
+
+    const min = parseMoneyInput(minInput.value, precision);
+    const max = parseMoneyInput(maxInput.value, precision);
+
+    minRange.value = Number.isNaN(min) ? '0' : String(Math.round(min * 100));
+    maxRange.value = Number.isNaN(max) ? sliderMax : String(Math.round(max * 100));
+
+    this.#renderSlider();
+  }
+
+  /**
+   * Sets the inputs to the prices of the thumbs, a thumb at either end of the slider leaves its input empty
+   */
+  #setInputsFromSlider() {
+    const { minRange, maxRange, minInput, maxInput, slider } = this.refs;
+    if (!(minRange instanceof HTMLInputElement) || !(maxRange instanceof HTMLInputElement)) return;
+
+    const precision = this.#getCurrencyPrecision();
+    const rangeMax = Number(slider?.dataset.rangeMax);
+    const min = Number(minRange.value);
+    const max = Number(maxRange.value);
+
+    minInput.value = min <= 0 ? '' : (min / 100).toFixed(precision);
+    maxInput.value = max >= rangeMax ? '' : (max / 100).toFixed(precision);
+  }
+
+  /**
+   * Fills the track between the thumbs, and describes their prices to assistive technology
+   */
+  #renderSlider() {
+    const { slider, minRange, maxRange } = this.refs;
+    if (!(slider instanceof HTMLElement)) return;
+    if (!(minRange instanceof HTMLInputElement) || !(maxRange instanceof HTMLInputElement)) return;
+
+    const sliderMax = Number(maxRange.max) || 1;
+    const min = Number(minRange.value);
+    const max = Math.min(Number(maxRange.value), Number(slider.dataset.rangeMax));
+
+    slider.style.setProperty('--price-range-start', `${(min / sliderMax) * 100}%`);
+    slider.style.setProperty('--price-range-end', `${(Number(maxRange.value) / sliderMax) * 100}%`);
+
+    const statusComponent = this.closest('details')?.querySelector('facet-status-component');
+    if (statusComponent instanceof FacetStatusComponent) {
+      minRange.setAttribute('aria-valuetext', statusComponent.formatPrice(min));
+      maxRange.setAttribute('aria-valuetext', statusComponent.formatPrice(max));
+    }
   }
 
   /**
@@ -451,13 +1004,16 @@ class FacetClearComponent extends Component {
     }
 
     const container = event.target.closest('facet-inputs-component, price-facet-component');
-    container?.querySelectorAll('[type="checkbox"]:checked, input').forEach((input) => {
+    container?.querySelectorAll('[type="checkbox"]:checked, input:not([type="range"])').forEach((input) => {
       if (input instanceof HTMLInputElement) {
         input.checked = false;
         input.value = '';
       }
     });
 
+    if (container instanceof PriceFacetComponent) container.updateSlider();
+    if (container instanceof FacetInputsComponent) container.filterValues();
+
     const details = event.target.closest('details');
     const statusComponent = details?.querySelector('facet-status-component');
 
@@ -471,6 +1027,13 @@ class FacetClearComponent extends Component {
     facetsForm.updateFilters();
   }
 
+  /**
+   * Clears the filter presets and "my size" values the customer saved in this browser
+   */
+  clearSavedFilters() {
+    FilterPresets.clear();
+  }
+
   /**
    * Handles keyup events
    * @param {KeyboardEvent} event - The keyup event
@@ -498,6 +1061,301 @@ if (!customElements.get('facet-clear-component')) {
   customElements.define('facet-clear-component', FacetClearComponent);
 }
 
+/**
+ * The saved values applied when the page loaded, shared by the filter forms on the page
+ * @type {[string, string][]}
+ */
+let autoAppliedParameters = [];
+
+/**
+ * Whether the saved values were already checked against the page, by the first filter presets component
+ * @type {boolean}
+ */
+let hasCheckedPinnedValues = false;
+
+/**
+ * @typedef {Object} FilterPresetsRefs
+ * @property {HTMLElement} presetList - The saved presets
+ * @property {HTMLElement} pinList - The buttons to save or forget the customer's own values, like their size
+ * @property {HTMLInputElement} presetName - The name of the preset to save
+ * @property {HTMLButtonElement} saveButton - The button saving the applied filters as a preset
+ * @property {HTMLElement} autoApplied - The chip shown when saved values were applied to the page
+ * @property {HTMLElement} autoAppliedText - The text of the chip
+ * @property {HTMLElement} clearSaved - The control forgetting everything the customer saved
+ */
+
+/**
+ * Lets customers save the applied filters as named presets, and keep values like their size.
+ *
+ * Kept values are applied when a page with the same filter loads without filters, with a chip to remove them.
+ * The options that can be kept are listed in `data-filters`, as `{ param, label }` objects.
+ *
+ * @extends {Component<FilterPresetsRefs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['presetList', 'pinList', 'presetName', 'saveButton', 'autoApplied', 'autoAppliedText', 'clearSaved'];
+
+  /** @type {(() => void) | null} */
+  #unsubscribe = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = FilterPresets.subscribe(() => this.#render());
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+
+    this.#applyPinnedValues();
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+  }
+
+  /**
+   * @param {number} index - The index of the preset
+   */
+  applyPreset(index) {
+    const preset = FilterPresets.get().presets[index];
+    if (preset) this.#facetsForm?.updateFiltersByURL(getURLWithFilters(preset.parameters));
+  }
+
+  /**
+   * @param {number} index - The index of the preset
+   */
+  removePreset(index) {
+    const preset = FilterPresets.get().presets[index];
+    if (preset) FilterPresets.removePreset(preset.name);
+  }
+
+  /**
+   * Saves the applied filters with the name the customer entered
+   */
+  savePreset() {
+    const { presetName } = this.refs;
+    const name = presetName.value.trim();
+
+    presetName.setAttribute('aria-invalid', String(name === ''));
+
+    if (name === '') {
+      presetName.focus();
+      return;
+    }
+
+    FilterPresets.savePreset(name, new URLSearchParams(window.location.search));
+    presetName.value = '';
+  }
+
+  /**
+   * Saves the preset on Enter, instead of submitting the filters form
+   * @param {KeyboardEvent} event
+   */
+  handleNameKeyDown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    this.savePreset();
+  }
+
+  /**
+   * Keeps the applied values of a filter as the customer's own
+   * @param {number} index - The index of the filter in `data-filters`
+   */
+  pinFilter(index) {
+    const filter = this.#getFilters()[index];
+    if (!filter) return;
+
+    const values = new URLSearchParams(window.location.search).getAll(filter.param);
+    if (values.length > 0) FilterPresets.pin(filter.param, values);
+  }
+
+  /**
+   * @param {number} index - The index of the filter in `data-filters`
+   */
+  unpinFilter(index) {
+    const filter = this.#getFilters()[index];
+    if (filter) FilterPresets.unpin(filter.param);
+  }
+
+  /**
+   * Removes the saved values applied to the page, and stops applying them to it for the rest of the visit
+   */
+  dismissAutoApplied() {
+    const remaining = getFilterParameters(new URLSearchParams(window.location.search)).filter(
+      ([key, value]) => !autoAppliedParameters.some((applied) => applied[0] === key && applied[1] === value)
+    );
+
+    FilterPresets.dismiss(window.location.pathname);
+    autoAppliedParameters = [];
+    this.#facetsForm?.updateFiltersByURL(getURLWithFilters(remaining), { replace: true });
+  }
+
+  /**
+   * @param {FilterUpdateEvent} event
+   */
+  #handleFilterUpdate = (event) => {
+    const { queryParams } = event.detail;
+
+    // Saved values the customer removed are no longer shown as applied
+    autoAppliedParameters = autoAppliedParameters.filter(([key, value]) => queryParams.getAll(key).includes(value));
+    this.#render(queryParams);
+  };
+
+  /**
+   * Applies the values the customer kept, when the page has the same filter and loaded without filters
+   */
+  #applyPinnedValues() {
+    if (hasCheckedPinnedValues) return;
+    hasCheckedPinnedValues = true;
+
+    const facetsForm = this.#facetsForm;
+    const parameters = new URLSearchParams(window.location.search);
+
+    if (!facetsForm || getFilterParameters(parameters).length > 0) return;
+    if (FilterPresets.isDismissed(window.location.pathname)) return;
+
+    /** @type {[string, string][]} */
+    const applicable = [];
+
+    for (const [param, values] of Object.entries(FilterPresets.get().pinned)) {
+      for (const value of values) {
+        const selector = `input[name="${CSS.escape(param)}"][value="${CSS.escape(value)}"]:not(:disabled)`;
+        if (facetsForm.querySelector(selector)) applicable.push([param, value]);
+      }
+    }
+
+    if (applicable.length === 0) return;
+
+    autoAppliedParameters = applicable;
+    facetsForm.updateFiltersByURL(getURLWithFilters(applicable), { replace: true });
+  }
+
+  /**
+   * @param {URLSearchParams} [parameters] - The applied URL parameters
+   */
+  #render(parameters = new URLSearchParams(window.location.search)) {
+    const { presetList, pinList, saveButton, autoApplied, autoAppliedText, clearSaved } = this.refs;
+    const { presets, pinned } = FilterPresets.get();
+
+    presetList.replaceChildren(
+      ...presets.map((preset, index) => {
+        const item = document.createElement('li');
+        const removeLabel = fillTemplate(presetList, 'removeLabel', { name: preset.name });
+
+        item.className = 'filter-presets__item';
+        item.append(
+          createButton(preset.name, `/applyPreset/${index}`, 'filter-presets__preset'),
+          createButton('×', `/removePreset/${index}`, 'filter-presets__remove', removeLabel)
+        );
+        return item;
+      })
+    );
+    presetList.hidden = presets.length === 0;
+
+    pinList.replaceChildren(
+      ...this.#getFilters().flatMap((filter, index) => {
+        const pinnedValues = pinned[filter.param];
+        const appliedValues = parameters.getAll(filter.param);
+
+        if (pinnedValues) {
+          const label = fillTemplate(pinList, 'unpinLabel', { label: filter.label, values: pinnedValues.join(', ') });
+          return [createButton(label, `/unpinFilter/${index}`, 'filter-presets__pin')];
+        }
+
+        if (appliedValues.length === 0) return [];
+
+        const label = fillTemplate(pinList, 'pinLabel', { label: filter.label, values: appliedValues.join(', ') });
+        return [createButton(label, `/pinFilter/${index}`, 'filter-presets__pin')];
+      })
+    );
+
+    saveButton.disabled = getFilterParameters(parameters).length === 0;
+    clearSaved.hidden = presets.length === 0 && Object.keys(pinned).length === 0;
+
+    autoApplied.hidden = autoAppliedParameters.length === 0;
+    autoAppliedText.textContent = fillTemplate(autoAppliedText, 'template', {
+      values: autoAppliedParameters.map(([, value]) => value).join(', '),
+    });
+  }
+
+  /**
+   * @returns {{ param: string, label: string }[]} The filters whose values can be kept
+   */
+  #getFilters() {
+    try {
+      const filters = JSON.parse(this.dataset.filters || '[]');
+      return Array.isArray(filters) ? filters : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @returns {FacetsFormComponent | null}
+   */
+  get #facetsForm() {
+    const facetsForm = this.closest('facets-form-component');
+    return facetsForm instanceof FacetsFormComponent ? facetsForm : null;
+  }
+}
+
+/**
+ * @param {[string, string][]} filterParameters
+ * @returns {string} The current URL with these filters instead of the applied ones, on the first page.
+ */
+function getURLWithFilters(filterParameters) {
+  const url = new URL(window.location.href);
+
+  for (const key of [...url.searchParams.keys()]) {
+    if (key.startsWith('filter.')) url.searchParams.delete(key);
+  }
+
+  url.searchParams.delete('page');
+  for (const [key, value] of filterParameters) url.searchParams.append(key, value);
+
+  return url.toString();
+}
+
+/**
+ * @param {string} text
+ * @param {string} action - The `on:click` action
+ * @param {string} className
+ * @param {string} [label] - The accessible label, when it differs from the text
+ * @returns {HTMLButtonElement}
+ */
+function createButton(text, action, className, label) {
+  const button = document.createElement('button');
+
+  button.type = 'button';
+  button.className = `button-unstyled ${className}`;
+  button.textContent = text;
+  button.setAttribute('on:click', action);
+  if (label) button.setAttribute('aria-label', label);
+
+  return button;
+}
+
+/**
+ * @param {HTMLElement} element - The element with the template in a data attribute
+ * @param {string} name - The name of the data attribute
+ * @param {Record<string, string>} values - The values of the `[placeholders]`
+ * @returns {string}
+ */
+function fillTemplate(element, name, values) {
+  let text = element.dataset[name] ?? '';
+
+  for (const [key, value] of Object.entries(values)) text = text.replace(`[${key}]`, value);
+
+  return text;
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
+
 /**
  * @typedef {Object} FacetRemoveComponentRefs
  * @property {HTMLInputElement | undefined} clearButton - The button to clear filters
@@ -539,6 +1397,9 @@ class FacetRemoveComponent extends Component {
 
     if (!(facetsForm instanceof FacetsFormComponent)) return;
 
+    // Only the clear all buttons have this ref, clearing everything also forgets the saved filters
+    if (this.refs.clearButton) FilterPresets.clear();
+
     facetsForm.updateFiltersByURL(url);
   }
 
@@ -872,6 +1733,15 @@ class FacetStatusComponent extends Component {
     facetStatus.innerHTML = `${this.#formatMoney(minInputNum)}–${this.#formatMoney(maxInputNum)}`;
   }
 
+  /**
+   * Formats a price like the summary does, for the price slider
+   * @param {number} cents - The price in cents
+   * @returns {string} The formatted price
+   */
+  formatPrice(cents) {
+    return this.#formatMoney(cents);
+  }
+
   /**
    * Parses a decimal number as cents
    * @param {string} value - The stringified decimal number to parse
@@ -906,64 +1776,7 @@ class FacetStatusComponent extends Component {
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatCents(moneyValue, template, { currency, precision: getCurrencyPrecision(currency) });
   }
 
   /**
@@ -977,56 +1790,3 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
-
-/**
- * Default currency decimals used in most currenies
- * @constant {number}
- */
-const DEFAULT_CURRENCY_DECIMALS = 2;
-
-/**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
- */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
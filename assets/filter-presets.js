@@ -0,0 +1,210 @@
+/**
+ * @typedef {object} FilterPreset
+ * @property {string} name - The name the customer gave the preset.
+ * @property {[string, string][]} parameters - The filter URL parameters, like `['filter.v.option.size', 'M']`.
+ */
+
+/**
+ * @typedef {object} SavedFilters
+ * @property {FilterPreset[]} presets - The named presets, most recently saved first.
+ * @property {Record<string, string[]>} pinned - The "my size" values, by filter URL parameter.
+ */
+
+/**
+ * @typedef {(savedFilters: SavedFilters) => void} SavedFiltersSubscriber
+ */
+
+/**
+ * Keeps the filter presets and "my size" values a customer saved, in localStorage on this device.
+ */
+export class FilterPresets {
+  /** @static @constant {string} The key used to store the saved filters in local storage */
+  static #STORAGE_KEY = 'filterPresets';
+  /** @static @constant {string} The key used to remember, for this visit, the pages the customer dismissed */
+  static #DISMISSED_KEY = 'filterPresetsDismissed';
+  /** @static @constant {number} The number of presets kept, older presets are dropped */
+  static #MAX_PRESETS = 10;
+
+  /** @type {Set<SavedFiltersSubscriber>} */
+  static #subscribers = new Set();
+
+  static #listeningToStorage = false;
+
+  /**
+   * @returns {SavedFilters}
+   */
+  static get() {
+    /** @type {unknown} */
+    let parsed;
+
+    try {
+      parsed = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '{}');
+    } catch {
+      parsed = {};
+    }
+
+    const value = parsed && typeof parsed === 'object' ? /** @type {Partial<SavedFilters>} */ (parsed) : {};
+
+    return {
+      presets: Array.isArray(value.presets) ? value.presets : [],
+      pinned: value.pinned && typeof value.pinned === 'object' ? value.pinned : {},
+    };
+  }
+
+  /**
+   * Saves a preset, replacing a preset with the same name.
+   * @param {string} name
+   * @param {URLSearchParams} parameters - The URL parameters, only the filter parameters are saved.
+   */
+  static savePreset(name, parameters) {
+    const savedFilters = this.get();
+    const preset = { name, parameters: getFilterParameters(parameters) };
+
+    const otherPresets = savedFilters.presets.filter((saved) => saved.name !== name);
+
+    savedFilters.presets = [preset, ...otherPresets].slice(0, this.#MAX_PRESETS);
+    this.#write(savedFilters);
+  }
+
+  /**
+   * @param {string} name
+   */
+  static removePreset(name) {
+    const savedFilters = this.get();
+
+    savedFilters.presets = savedFilters.presets.filter((preset) => preset.name !== name);
+    this.#write(savedFilters);
+  }
+
+  /**
+   * Saves the values of a filter as the customer's own, like their size.
+   * @param {string} parameter - The filter URL parameter, like `filter.v.option.size`.
+   * @param {string[]} values
+   */
+  static pin(parameter, values) {
+    const savedFilters = this.get();
+
+    savedFilters.pinned[parameter] = values;
+    this.#write(savedFilters);
+  }
+
+  /**
+   * @param {string} parameter - The filter URL parameter.
+   */
+  static unpin(parameter) {
+    const savedFilters = this.get();
+
+    delete savedFilters.pinned[parameter];
+    this.#write(savedFilters);
+  }
+
+  static clear() {
+    try {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    } catch (error) {
+      // Storage can be disabled, there is nothing saved to clear then
+      console.warn(error);
+    }
+
+    this.#notify(this.get());
+  }
+
+  /**
+   * Whether the customer removed the saved values applied to a page during this visit.
+   * @param {string} pathname
+   * @returns {boolean}
+   */
+  static isDismissed(pathname) {
+    return this.#getDismissed().includes(pathname);
+  }
+
+  /**
+   * Stops applying the saved values to a page for the rest of the visit.
+   * @param {string} pathname
+   */
+  static dismiss(pathname) {
+    const dismissed = this.#getDismissed();
+
+    if (dismissed.includes(pathname)) return;
+
+    try {
+      sessionStorage.setItem(this.#DISMISSED_KEY, JSON.stringify([...dismissed, pathname]));
+    } catch (error) {
+      console.warn(error);
+    }
+  }
+
+  /**
+   * Calls `callback` whenever the saved filters change, including changes made in other tabs.
+   * @param {SavedFiltersSubscriber} callback
+   * @returns {() => void} A function that removes the subscription.
+   */
+  static subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    if (!this.#listeningToStorage) {
+      this.#listeningToStorage = true;
+      window.addEventListener('storage', (event) => {
+        if (event.key !== this.#STORAGE_KEY && event.key !== null) return;
+        this.#notify(this.get());
+      });
+    }
+
+    return () => {
+      this.#subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  static #getDismissed() {
+    try {
+      const dismissed = JSON.parse(sessionStorage.getItem(this.#DISMISSED_KEY) || '[]');
+      return Array.isArray(dismissed) ? dismissed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {SavedFilters} savedFilters
+   */
+  static #write(savedFilters) {
+    try {
+      if (savedFilters.presets.length === 0 && Object.keys(savedFilters.pinned).length === 0) {
+        localStorage.removeItem(this.#STORAGE_KEY);
+      } else {
+        localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(savedFilters));
+      }
+    } catch (error) {
+      // Storage can be full or disabled, subscribers get what is actually saved
+      console.warn(error);
+      this.#notify(this.get());
+      return;
+    }
+
+    this.#notify(savedFilters);
+  }
+
+  /**
+   * @param {SavedFilters} savedFilters
+   */
+  static #notify(savedFilters) {
+    for (const callback of this.#subscribers) {
+      try {
+        callback(savedFilters);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+}
+
+/**
+ * @param {URLSearchParams} parameters
+ * @returns {[string, string][]} The filter parameters, leaving out sorting, search and paging.
+ */
+export function getFilterParameters(parameters) {
+  return [...parameters.entries()].filter(([key]) => key.startsWith('filter.'));
+}
@@ -0,0 +1,134 @@
+import { cartMutations, CartMutationQueuedError } from '@theme/cart-mutations';
+import { CartUpdateEvent } from '@theme/events';
+
+/** The line item property that marks the line added by the gift with purchase rule */
+export const GIFT_WITH_PURCHASE_PROPERTY = '_gift_with_purchase';
+
+/**
+ * The gift variants the server refused to add on this page, like variants that sold out after the cart was rendered.
+ * They are not tried again, so a refused gift does not lead to a request on every cart update.
+ * @type {Set<string>}
+ */
+const refusedVariants = new Set();
+
+/**
+ * The add or remove request in flight, shared by every cart on the page so the gift is only added once.
+ * @type {Promise<void> | null}
+ */
+let inFlight = null;
+
+/**
+ * The gift with purchase rule, as rendered with the cart.
+ *
+ * The subtotal and collection quantity leave out the gift line, so adding or removing the gift
+ * never changes whether the cart qualifies.
+ *
+ * @typedef {object} GiftWithPurchaseState
+ * @property {string} variantId - The gift variant, empty when the rule is turned off.
+ * @property {string} lineKey - The key of the gift line, empty when the gift is not in the cart.
+ * @property {boolean} qualifies - Whether the cart meets the subtotal or the collection quantity of the rule.
+ * @property {boolean} available - Whether the gift can be added.
+ */
+
+/**
+ * Reads the rule rendered by the `cart-gift-with-purchase` snippet.
+ * @param {HTMLElement} element - The element with the rule data attributes.
+ * @returns {GiftWithPurchaseState}
+ */
+export function getGiftWithPurchaseState(element) {
+  const { variantId = '', lineKey = '' } = element.dataset;
+  const rate = Number(Shopify.currency?.rate) || 1;
+
+  // The minimum subtotal is set in the store currency, the subtotal is rendered in the cart currency
+  const minSubtotal = Math.ceil(Number(element.dataset.minSubtotal) * 100 * rate);
+  const minCollectionQuantity = Number(element.dataset.minCollectionQuantity);
+
+  const qualifies =
+    variantId !== '' &&
+    ((minSubtotal > 0 && Number(element.dataset.subtotal) >= minSubtotal) ||
+      (minCollectionQuantity > 0 && Number(element.dataset.collectionQuantity) >= minCollectionQuantity));
+
+  return {
+    variantId,
+    lineKey,
+    qualifies,
+    available: element.dataset.available === 'true' && !refusedVariants.has(variantId),
+  };
+}
+
+/**
+ * Adds the gift when the cart qualifies for it and removes it when the cart no longer does.
+ *
+ * Nothing is sent while another gift request is in flight or cart changes wait for a connection;
+ * the cart is checked again when the resulting update is rendered.
+ *
+ * @param {HTMLElement} element - The element with the rule data attributes.
+ * @param {string[]} sectionIds - The sections to render with the change.
+ * @returns {Promise<void>}
+ */
+export function syncGiftWithPurchase(element, sectionIds) {
+  if (inFlight) return inFlight;
+  if (cartMutations.pending.length > 0) return Promise.resolve();
+
+  const { variantId, lineKey, qualifies, available } = getGiftWithPurchaseState(element);
+  const sections = { sections: sectionIds.join(','), sections_url: window.location.pathname };
+
+  /** @type {import('./cart-mutations').CartMutation | undefined} */
+  let mutation;
+
+  if (qualifies && !lineKey && available) {
+    mutation = {
+      type: 'add',
+      body: {
+        items: [{ id: Number(variantId), quantity: 1, properties: { [GIFT_WITH_PURCHASE_PROPERTY]: 'true' } }],
+        ...sections,
+      },
+    };
+  } else if (!qualifies && lineKey) {
+    mutation = { type: 'change', body: { id: lineKey, quantity: 0, ...sections }, lineKey };
+  }
+
+  if (!mutation) return Promise.resolve();
+
+  const isAdd = mutation.type === 'add';
+
+  inFlight = cartMutations
+    .mutate(mutation)
+    .then((response) => {
+      if (response.status || response.errors) {
+        if (isAdd) refusedVariants.add(variantId);
+        console.warn('The gift with purchase could not be updated', response);
+        return;
+      }
+
+      document.dispatchEvent(
+        new CartUpdateEvent(isAdd ? {} : response, 'gift-with-purchase', {
+          source: 'gift-with-purchase',
+          itemCount: isAdd ? getItemCount(response.sections) : response.item_count,
+          sections: response.sections,
+        })
+      );
+    })
+    .catch((error) => {
+      if (!(error instanceof CartMutationQueuedError)) console.error(error);
+    })
+    .finally(() => {
+      inFlight = null;
+    });
+
+  return inFlight;
+}
+
+/**
+ * Reads the cart item count from the cart sections in a response.
+ * @param {Record<string, string> | undefined} sections
+ * @returns {number | undefined}
+ */
+function getItemCount(sections) {
+  for (const html of Object.values(sections ?? {})) {
+    const count = new DOMParser().parseFromString(html, 'text/html').querySelector('[ref="cartItemCount"]');
+    if (count?.textContent) return parseInt(count.textContent, 10);
+  }
+
+  return undefined;
+}
@@ -27,6 +27,7 @@ declare global {
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
+      root_url: string;
       search_url: string;
     };
     utilities: {
@@ -37,6 +38,16 @@ declare global {
     template: {
       name: string;
     };
+    wishlist?: {
+      sync_endpoint: string | null;
+      customer_id: number | null;
+      lists_enabled: boolean;
+      counter_scope: 'total' | 'active';
+    };
+    recently_viewed?: {
+      max_products: number;
+      ttl_days: number;
+    };
   }
 
   interface Window {
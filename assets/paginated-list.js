@@ -12,6 +12,8 @@ import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-rat
  * @property {HTMLSpanElement} [viewMorePrevious] - The view more previous button.
  * @property {HTMLSpanElement} [viewMoreNext] - The view more next button.
  * @property {HTMLElement[]} [cards] - The cards elements.
+ * @property {HTMLElement} [previousPageError] - The message shown when the previous page could not be loaded.
+ * @property {HTMLElement} [nextPageError] - The message shown when the next page could not be loaded.
  *
  * @extends Component<Refs>
  */
@@ -141,10 +143,48 @@ export default class PaginatedList extends Component {
       return;
     }
 
-    await this.#fetchSpecificPage(page.page, page.url);
+    // Only a page the customer is waiting for shows an error, failed prefetches are retried when needed
+    const isWaiting = type === 'next' ? !!this.#resolveNextPagePromise : !!this.#resolvePreviousPagePromise;
+
+    try {
+      await this.#fetchSpecificPage(page.page, page.url);
+      this.#toggleError(type, false);
+    } catch (error) {
+      if (isWaiting) this.#toggleError(type, true);
+    }
+
     resolvePromise();
   }
 
+  /**
+   * Hides the error for a direction so infinite scroll loads the page again.
+   * @param {"previous" | "next"} type
+   */
+  retryPage(type) {
+    // Observing the sentinel again reports it as intersecting, which renders the page
+    this.#toggleError(type, false);
+  }
+
+  /**
+   * Shows or hides the error message for a direction, pausing infinite scroll in that direction while it shows.
+   * @param {"previous" | "next"} type
+   * @param {boolean} hasError
+   */
+  #toggleError(type, hasError) {
+    const { previousPageError, nextPageError, viewMorePrevious, viewMoreNext } = this.refs;
+    const errorElement = type === 'next' ? nextPageError : previousPageError;
+    const viewMoreElement = type === 'next' ? viewMoreNext : viewMorePrevious;
+
+    if (errorElement) errorElement.hidden = !hasError;
+    if (!viewMoreElement || !this.infinityScrollObserver) return;
+
+    if (hasError) {
+      this.infinityScrollObserver.unobserve(viewMoreElement);
+    } else {
+      this.infinityScrollObserver.observe(viewMoreElement);
+    }
+  }
+
   /**
    * @param {number} pageNumber - The page number to fetch
    * @param {URL} [url] - Optional URL, will be constructed if not provided
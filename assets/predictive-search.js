@@ -228,6 +228,45 @@ class PredictiveSearchComponent extends Component {
 
     RecentlyViewed.clearProducts();
 
+    this.#removeRecentlyViewedWrapper();
+  }
+
+  /**
+   * Removes a single product from the recently viewed products.
+   * @param {string | number} productId - The ID of the product to remove.
+   * @param {Event} event - The event.
+   */
+  removeRecentlyViewedProduct(productId, event) {
+    event.stopPropagation();
+
+    const id = String(productId);
+    RecentlyViewed.removeProduct(id);
+
+    const items = this.refs.recentlyViewedItems || [];
+    const item = items.find((element) => element.dataset.productId === id);
+    const remainingItems = items.filter((element) => element !== item && element.isConnected);
+
+    if (remainingItems.length === 0) {
+      this.#removeRecentlyViewedWrapper();
+      return;
+    }
+
+    if (!item) return;
+
+    // Keep keyboard focus in the list instead of losing it with the removed button
+    if (item.contains(document.activeElement)) {
+      const index = items.indexOf(item);
+      const nextItem = remainingItems[Math.min(index, remainingItems.length - 1)];
+      nextItem?.querySelector('a')?.focus();
+    }
+
+    item.classList.add('removing');
+    onAnimationEnd(item, () => {
+      item.remove();
+    });
+  }
+
+  #removeRecentlyViewedWrapper() {
     const { recentlyViewedItems, recentlyViewedTitle, recentlyViewedWrapper } = this.refs;
 
     const allRecentlyViewedElements = [...(recentlyViewedItems || []), ...(recentlyViewedTitle || [])];
@@ -332,11 +371,11 @@ class PredictiveSearchComponent extends Component {
   async #getRecentlyViewedProductsMarkup() {
     if (!this.dataset.sectionId) return null;
 
-    const viewedProducts = RecentlyViewed.getProducts();
-    if (viewedProducts.length === 0) return null;
+    const productIds = RecentlyViewed.getProductIds();
+    if (productIds.length === 0) return null;
 
     const url = new URL(Theme.routes.search_url, location.origin);
-    url.searchParams.set('q', viewedProducts.map(/** @param {string} id */ (id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('q', productIds.map((id) => `id:${id}`).join(' OR '));
     url.searchParams.set('resources[type]', 'product');
 
     return sectionRenderer.getSectionHTML(this.dataset.sectionId, false, url);
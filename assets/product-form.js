@@ -1,7 +1,9 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { cartMutations, CartMutationQueuedError } from '@theme/cart-mutations';
 import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { showToast } from '@theme/toast';
 import { morph } from '@theme/morph';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
@@ -185,16 +187,8 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+    cartMutations
+      .mutate({ type: 'add', body: formData })
       .then((response) => {
         if (response.status) {
           this.dispatchEvent(
@@ -202,27 +196,7 @@ class ProductFormComponent extends Component {
           );
 
           if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
-
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
-
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, 10000);
+          this.#showError(response.message);
 
           // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
           // because our back-end still adds the max allowed amount to the cart.
@@ -270,6 +244,13 @@ class ProductFormComponent extends Component {
         }
       })
       .catch((error) => {
+        // The item is added once the connection comes back, so this is a status rather than an error
+        if (error instanceof CartMutationQueuedError) {
+          addToCartTextError?.classList.add('hidden');
+          showToast(Theme.translations.cart_changes_pending ?? error.message, { type: 'info' });
+          return;
+        }
+
         console.error(error);
       })
       .finally(() => {
@@ -278,6 +259,38 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Shows a message in the add to cart error, and announces it, for ten seconds.
+   * @param {string} message
+   */
+  #showError(message) {
+    const { addToCartTextError } = this.refs;
+
+    if (!addToCartTextError) return;
+    addToCartTextError.classList.remove('hidden');
+
+    // Reuse the text node if the user is spam-clicking
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      const newTextNode = document.createTextNode(message);
+      addToCartTextError.appendChild(newTextNode);
+    }
+
+    // Create or get existing error live region for screen readers
+    this.#setLiveRegionText(message);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      if (!addToCartTextError) return;
+      addToCartTextError.classList.add('hidden');
+
+      // Clear the announcement
+      this.#clearLiveRegionText();
+    }, 10000);
+  }
+
   /**
    * @param {*} text
    */
@@ -1,35 +1,209 @@
+/**
+ * @typedef {object} RecentlyViewedProduct
+ * @property {string} id - The product ID.
+ * @property {string} handle - The product handle, empty for entries migrated from the ID-only format.
+ * @property {string} [variantId] - The variant that was selected when the product was viewed.
+ * @property {number} viewedAt - When the product was last viewed, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {(products: RecentlyViewedProduct[]) => void} RecentlyViewedSubscriber
+ */
+
 /**
  * Updates the recently viewed products in localStorage.
+ *
+ * The capacity and time-to-live come from the theme settings, exposed on `Theme.recently_viewed`.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
+  /** @static @constant {string} The key used to store the viewed products in local storage */
   static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /** @static @constant {number} The number of products to store when the theme settings are missing */
+  static #DEFAULT_MAX_PRODUCTS = 4;
+  /** @static @constant {number} The number of days to keep a product when the theme settings are missing */
+  static #DEFAULT_TTL_DAYS = 30;
+  /** @static @constant {number} */
+  static #DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+  /** @type {Set<RecentlyViewedSubscriber>} */
+  static #subscribers = new Set();
+
+  static #listeningToStorage = false;
+
+  /**
+   * The maximum number of products to store.
+   * @returns {number}
+   */
+  static get maxProducts() {
+    const value = Number(Theme.recently_viewed?.max_products);
+    return value > 0 ? value : this.#DEFAULT_MAX_PRODUCTS;
+  }
+
+  /**
+   * How long a product stays in the list, in milliseconds. `Infinity` when products never expire.
+   * @returns {number}
+   */
+  static get timeToLive() {
+    const value = Number(Theme.recently_viewed?.ttl_days ?? this.#DEFAULT_TTL_DAYS);
+    if (!Number.isFinite(value) || value < 0) return this.#DEFAULT_TTL_DAYS * this.#DAY_IN_MS;
+    return value === 0 ? Infinity : value * this.#DAY_IN_MS;
+  }
 
   /**
    * Adds a product to the recently viewed products list.
    * @param {string} productId - The ID of the product to add.
+   * @param {{ handle?: string, variantId?: string }} [details] - The product handle and selected variant.
+   */
+  static addProduct(productId, details = {}) {
+    const id = String(productId);
+
+    /** @type {RecentlyViewedProduct} */
+    const entry = { id, handle: details.handle ?? '', viewedAt: Date.now() };
+    if (details.variantId) entry.variantId = String(details.variantId);
+
+    const viewedProducts = this.getProducts().filter((product) => product.id !== id);
+    viewedProducts.unshift(entry);
+
+    this.#write(viewedProducts.slice(0, this.maxProducts));
+  }
+
+  /**
+   * Removes a single product from the recently viewed products list.
+   * @param {string} productId - The ID of the product to remove.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static removeProduct(productId) {
+    const id = String(productId);
+    const viewedProducts = this.getProducts();
+    const remaining = viewedProducts.filter((product) => product.id !== id);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    if (remaining.length === viewedProducts.length) return;
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    this.#write(remaining);
   }
 
   static clearProducts() {
     localStorage.removeItem(this.#STORAGE_KEY);
+    this.#notify([]);
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
-   * @returns {string[]} The list of viewed products.
+   * Retrieves the list of recently viewed products from local storage, most recent first.
+   * Expired products are dropped and entries saved by older versions of the theme are migrated.
+   * @returns {RecentlyViewedProduct[]} The list of viewed products.
    */
   static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    const stored = this.#read();
+    const now = Date.now();
+    const { maxProducts, timeToLive } = this;
+
+    const viewedProducts = stored.products
+      .filter((product) => now - product.viewedAt < timeToLive)
+      .slice(0, maxProducts);
+
+    if (stored.migrated || viewedProducts.length !== stored.products.length) {
+      this.#write(viewedProducts, false);
+    }
+
+    return viewedProducts;
+  }
+
+  /**
+   * Retrieves the IDs of the recently viewed products, most recent first.
+   * @returns {string[]}
+   */
+  static getProductIds() {
+    return this.getProducts().map((product) => product.id);
+  }
+
+  /**
+   * Calls `callback` whenever the list changes, including changes made in other tabs.
+   * @param {RecentlyViewedSubscriber} callback
+   * @returns {() => void} A function that removes the subscription.
+   */
+  static subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    if (!this.#listeningToStorage) {
+      this.#listeningToStorage = true;
+      window.addEventListener('storage', (event) => {
+        if (event.key !== this.#STORAGE_KEY && event.key !== null) return;
+        this.#notify(this.getProducts());
+      });
+    }
+
+    return () => {
+      this.#subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Reads the stored list, converting the original ID-only array into records.
+   * @returns {{ products: RecentlyViewedProduct[], migrated: boolean }}
+   */
+  static #read() {
+    /** @type {unknown} */
+    let parsed;
+
+    try {
+      parsed = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    } catch {
+      return { products: [], migrated: true };
+    }
+
+    if (!Array.isArray(parsed)) return { products: [], migrated: true };
+
+    const now = Date.now();
+    let migrated = false;
+
+    /** @type {RecentlyViewedProduct[]} */
+    const products = [];
+
+    for (const value of parsed) {
+      if (typeof value === 'string' || typeof value === 'number') {
+        // Entries from the ID-only format have no timestamp, so they start their time-to-live now
+        products.push({ id: String(value), handle: '', viewedAt: now });
+        migrated = true;
+      } else if (value && typeof value === 'object' && 'id' in value) {
+        /** @type {RecentlyViewedProduct} */
+        const product = {
+          id: String(value.id),
+          handle: typeof value.handle === 'string' ? value.handle : '',
+          viewedAt: Number(value.viewedAt) || now,
+        };
+        if (value.variantId) product.variantId = String(value.variantId);
+        products.push(product);
+      } else {
+        migrated = true;
+      }
+    }
+
+    return { products, migrated };
+  }
+
+  /**
+   * @param {RecentlyViewedProduct[]} products
+   * @param {boolean} [notify=true] - Whether to tell subscribers about the change.
+   */
+  static #write(products, notify = true) {
+    if (products.length === 0) {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    } else {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(products));
+    }
+
+    if (notify) this.#notify(products);
+  }
+
+  /**
+   * @param {RecentlyViewedProduct[]} products
+   */
+  static #notify(products) {
+    for (const callback of this.#subscribers) {
+      try {
+        callback(products);
+      } catch (error) {
+        console.error(error);
+      }
+    }
   }
 }
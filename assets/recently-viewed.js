@@ -0,0 +1,165 @@
+import { Component } from '@theme/component';
+import { sectionRenderer } from '@theme/section-renderer';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+
+/** The section that renders a single product card for the Section Rendering API */
+const PRODUCT_CARD_SECTION_ID = 'section-rendering-product-card';
+
+/**
+ * A custom element that shows the products the customer viewed recently.
+ *
+ * The cards are requested from the `section-rendering-product-card` section once the element
+ * scrolls near the viewport, so they keep quick add, swatches and the wishlist button.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The element the cards are rendered into.
+ * @property {HTMLTemplateElement} [carouselTemplate] - The slideshow markup, with an empty slot in each slide.
+ *
+ * @extends {Component<Refs>}
+ */
+class RecentlyViewedComponent extends Component {
+  requiredRefs = ['list'];
+
+  /** @type {IntersectionObserver} */
+  #intersectionObserver = new IntersectionObserver(
+    (entries, observer) => {
+      if (!entries[0]?.isIntersecting) return;
+
+      observer.disconnect();
+      this.#hydrate();
+    },
+    { rootMargin: '0px 0px 400px 0px' }
+  );
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /**
+   * A key for the products currently rendered, used to skip renders that would not change anything.
+   * @type {string | null}
+   */
+  #renderedKey = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#intersectionObserver.observe(this);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    this.#unsubscribe?.();
+    this.#unsubscribe = undefined;
+  }
+
+  /**
+   * The recently viewed products to show, without the product on the current page.
+   * Entries migrated from the ID-only format have no handle and cannot be rendered.
+   * @returns {import('./recently-viewed-products').RecentlyViewedProduct[]}
+   */
+  get products() {
+    const { excludeProductId, maxProducts } = this.dataset;
+    const limit = Number(maxProducts) || RecentlyViewed.maxProducts;
+
+    return RecentlyViewed.getProducts()
+      .filter((product) => product.handle && product.id !== excludeProductId)
+      .slice(0, limit);
+  }
+
+  #hydrate() {
+    this.#unsubscribe = RecentlyViewed.subscribe(() => this.#render());
+    this.#render();
+  }
+
+  async #render() {
+    const { products } = this;
+    const key = products.map((product) => `${product.id}:${product.variantId ?? ''}`).join(',');
+
+    if (key === this.#renderedKey) return;
+    this.#renderedKey = key;
+
+    if (products.length === 0) {
+      this.#setEmpty();
+      return;
+    }
+
+    const results = await Promise.allSettled(products.map((product) => this.#fetchCard(product)));
+
+    // A newer render started while the cards were loading
+    if (key !== this.#renderedKey) return;
+
+    /** @type {HTMLElement[]} */
+    const cards = [];
+    for (const result of results) {
+      if (result.status === 'fulfilled' && result.value) cards.push(result.value);
+    }
+
+    if (cards.length === 0) {
+      this.#setEmpty();
+      return;
+    }
+
+    this.#renderCards(cards);
+    this.toggleAttribute('data-empty', false);
+  }
+
+  /**
+   * @param {HTMLElement[]} cards
+   */
+  #renderCards(cards) {
+    const { list, carouselTemplate } = this.refs;
+
+    if (!carouselTemplate) {
+      list.replaceChildren(...cards);
+      return;
+    }
+
+    const carousel = /** @type {DocumentFragment} */ (carouselTemplate.content.cloneNode(true));
+    const slides = carousel.querySelectorAll('slideshow-slide');
+
+    slides.forEach((slide, index) => {
+      const card = cards[index];
+
+      if (card) {
+        slide.querySelector('[data-recently-viewed-slot]')?.replaceWith(card);
+      } else {
+        slide.remove();
+      }
+    });
+
+    list.replaceChildren(carousel);
+  }
+
+  #setEmpty() {
+    // Keep the loading placeholders in the theme editor so the section can still be styled
+    if (Shopify.designMode) return;
+
+    this.toggleAttribute('data-empty', true);
+    this.refs.list.replaceChildren();
+  }
+
+  /**
+   * Requests the card for a product from the Section Rendering API.
+   * @param {import('./recently-viewed-products').RecentlyViewedProduct} product
+   * @returns {Promise<HTMLElement | null>}
+   */
+  async #fetchCard(product) {
+    const url = new URL(`${Theme.routes.root_url.replace(/\/$/, '')}/products/${product.handle}`, location.origin);
+    if (product.variantId) url.searchParams.set('variant', product.variantId);
+
+    const html = await sectionRenderer.getSectionHTML(PRODUCT_CARD_SECTION_ID, true, url);
+    const template = new DOMParser().parseFromString(html, 'text/html').querySelector('template[data-product-card]');
+    const card = template instanceof HTMLTemplateElement ? template.content.firstElementChild : null;
+
+    // Products that were deleted or unpublished since they were viewed render the 404 page instead
+    if (!(card instanceof HTMLElement) || card.dataset.productId !== product.id) return null;
+
+    return /** @type {HTMLElement} */ (document.importNode(card, true));
+  }
+}
+
+if (!customElements.get('recently-viewed-component')) {
+  customElements.define('recently-viewed-component', RecentlyViewedComponent);
+}
@@ -16,7 +16,13 @@ async function hydrateSection(sectionId, url) {
     return;
   }
 
-  await sectionRenderer.renderSection(normalizedId, { cache: false, url });
+  try {
+    await sectionRenderer.renderSection(normalizedId, { cache: false, url });
+  } catch (error) {
+    // The section keeps its server-rendered markup and is hydrated again on the next call
+    console.error(error);
+    return;
+  }
 
   section.dataset.hydrated = 'true';
 }
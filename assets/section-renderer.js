@@ -1,14 +1,137 @@
 import { morph } from '@theme/morph';
+import { SectionRenderErrorEvent, ThemeEvents } from '@theme/events';
+
+/** The Section Rendering API renders at most five sections per request */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
+/** The number of rendered sections to keep in memory */
+const CACHE_MAX_ENTRIES = 40;
+
+/** How long a rendered section stays in the cache, in milliseconds */
+const CACHE_TIME_TO_LIVE = 5 * 60 * 1000;
+
+/** How many times a failed request is retried */
+const MAX_RETRIES = 2;
+
+/** The delay before the first retry, in milliseconds. Each further retry waits twice as long */
+const RETRY_DELAY = 400;
+
+/** Sections containing any of these elements show cart contents and go stale when the cart changes */
+const CART_DEPENDENT_SELECTOR = 'cart-items-component, cart-drawer-component, cart-icon, [data-cart-dependent]';
+
+/**
+ * An error for a section that could not be rendered.
+ * `status` is the HTTP status of the response, or `0` when the request failed without one.
+ */
+export class SectionRenderError extends Error {
+  /**
+   * @param {string} sectionId - The section ID
+   * @param {object} [options]
+   * @param {string} [options.url] - The page URL the section was rendered for
+   * @param {number} [options.status] - The HTTP status of the response
+   * @param {string} [options.message] - Replaces the default message
+   */
+  constructor(sectionId, { url = '', status = 0, message } = {}) {
+    super(message ?? `Section ${sectionId} could not be rendered${status ? ` (status ${status})` : ''}`);
+    this.name = 'SectionRenderError';
+    this.sectionId = normalizeSectionId(sectionId);
+    this.url = url;
+    this.status = status;
+  }
+}
+
+/**
+ * @typedef {object} PendingSection
+ * @property {(html: string) => void} resolve
+ * @property {(error: unknown) => void} reject
+ */
+
+/**
+ * @typedef {object} SectionBatch
+ * @property {URL} url - The page URL the sections are rendered for.
+ * @property {Map<string, PendingSection>} sections - The requested sections, by normalized section ID.
+ */
+
+/**
+ * A cache that keeps a limited number of entries, dropping the least recently used one when full
+ * and treating entries older than the time-to-live as missing.
+ */
+class SectionCache {
+  /**
+   * @type {Map<string, { value: string, storedAt: number }>}
+   */
+  #entries = new Map();
+
+  /**
+   * @param {number} maxEntries - The maximum number of entries.
+   * @param {number} timeToLive - How long an entry is valid, in milliseconds.
+   */
+  constructor(maxEntries, timeToLive) {
+    this.maxEntries = maxEntries;
+    this.timeToLive = timeToLive;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string | undefined}
+   */
+  get(key) {
+    const entry = this.#entries.get(key);
+    if (!entry) return undefined;
+
+    if (Date.now() - entry.storedAt > this.timeToLive) {
+      this.#entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so the Map order reflects the most recent use
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  set(key, value) {
+    this.#entries.delete(key);
+    this.#entries.set(key, { value, storedAt: Date.now() });
+
+    while (this.#entries.size > this.maxEntries) {
+      const oldestKey = this.#entries.keys().next().value;
+      if (oldestKey === undefined) break;
+      this.#entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Removes the entries whose key matches the predicate.
+   * @param {(key: string) => boolean} predicate
+   */
+  deleteWhere(predicate) {
+    for (const key of [...this.#entries.keys()]) {
+      if (predicate(key)) this.#entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+}
 
 /**
  * A class to re-render sections using the Section Rendering API
+ *
+ * Sections requested for the same page URL in the same tick are fetched together with the `sections` parameter.
  */
 class SectionRenderer {
   /**
-   * The cache of section HTML
-   * @type {Map<string, string>}
+   * The cache of section HTML, keyed by section rendering URL
+   * @type {SectionCache}
    */
-  #cache = new Map();
+  #cache = new SectionCache(CACHE_MAX_ENTRIES, CACHE_TIME_TO_LIVE);
 
   /**
    * The abort controllers by section ID
@@ -22,8 +145,15 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * The sections waiting to be requested, by page URL
+   * @type {Map<string, SectionBatch>}
+   */
+  #batches = new Map();
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, this.#invalidateCartSections);
   }
 
   /**
@@ -42,15 +172,26 @@ class SectionRenderer {
     const abortController = new AbortController();
     this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
+    try {
+      const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
 
-    if (!abortController.signal.aborted) {
-      this.#abortControllersBySectionId.delete(sectionId);
+      if (!abortController.signal.aborted) {
+        this.#abortControllersBySectionId.delete(sectionId);
 
-      morphSection(sectionId, sectionHTML);
-    }
+        const morphed = await morphSection(sectionId, sectionHTML);
+        if (!morphed) throw new SectionRenderError(sectionId, { url: url?.toString() });
+      }
+
+      return sectionHTML;
+    } catch (error) {
+      // The section keeps its current markup, flagged so components can offer to try again
+      if (!abortController.signal.aborted) {
+        this.#abortControllersBySectionId.delete(sectionId);
+        setSectionErrorState(sectionId, true);
+      }
 
-    return sectionHTML;
+      throw error;
+    }
   }
 
   /**
@@ -83,19 +224,136 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
-    });
+    pendingPromise = this.#enqueue(sectionId, url);
 
     this.#pendingPromises.set(sectionUrl, pendingPromise);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    try {
+      const sectionHTML = await pendingPromise;
 
-    this.#cache.set(sectionUrl, sectionHTML);
-    return sectionHTML;
+      this.#cache.set(sectionUrl, sectionHTML);
+      return sectionHTML;
+    } catch (error) {
+      if (error instanceof SectionRenderError) dispatchSectionRenderError(error);
+      throw error;
+    } finally {
+      this.#pendingPromises.delete(sectionUrl);
+    }
   }
 
+  /**
+   * Removes cached HTML so the next request fetches fresh markup
+   * @param {string} [sectionId] - The section to invalidate. Clears the whole cache when omitted.
+   */
+  invalidate(sectionId) {
+    if (!sectionId) {
+      this.#cache.clear();
+      return;
+    }
+
+    const normalizedId = normalizeSectionId(sectionId);
+    this.#cache.deleteWhere((key) => new URL(key).searchParams.get('section_id') === normalizedId);
+  }
+
+  /**
+   * Adds a section to the batch for its page URL, scheduling the batches to be sent at the end of the tick
+   * @param {string} sectionId - The section ID
+   * @param {URL} url - The URL to render the section for
+   * @returns {Promise<string>} The rendered section HTML
+   */
+  #enqueue(sectionId, url) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.delete('section_id');
+    pageUrl.searchParams.delete('sections');
+    pageUrl.searchParams.sort();
+
+    const key = pageUrl.toString();
+    let batch = this.#batches.get(key);
+
+    if (!batch) {
+      if (this.#batches.size === 0) queueMicrotask(() => this.#flushBatches());
+
+      batch = { url: pageUrl, sections: new Map() };
+      this.#batches.set(key, batch);
+    }
+
+    const { sections } = batch;
+
+    return new Promise((resolve, reject) => {
+      sections.set(normalizeSectionId(sectionId), { resolve, reject });
+    });
+  }
+
+  #flushBatches() {
+    const batches = [...this.#batches.values()];
+    this.#batches.clear();
+
+    for (const { url, sections } of batches) {
+      const sectionIds = [...sections.keys()];
+
+      for (let index = 0; index < sectionIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+        this.#fetchSections(url, sectionIds.slice(index, index + MAX_SECTIONS_PER_REQUEST), sections);
+      }
+    }
+  }
+
+  /**
+   * Fetches a group of sections and settles their pending promises.
+   * Network errors, rate limiting and server errors are retried with backoff; other responses are not.
+   * @param {URL} url - The page URL
+   * @param {string[]} sectionIds - The normalized section IDs
+   * @param {Map<string, PendingSection>} pending - The pending sections of the batch
+   */
+  async #fetchSections(url, sectionIds, pending) {
+    /** @type {Record<string, string | null> | null} */
+    let htmlBySectionId = null;
+    let status = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        ({ status, htmlBySectionId } = await fetchSectionsHTML(url, sectionIds));
+      } catch {
+        // The request failed or the response could not be read
+        status = 0;
+      }
+
+      if (htmlBySectionId || attempt >= MAX_RETRIES || !isRetryableStatus(status)) break;
+
+      await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY * 2 ** attempt));
+    }
+
+    for (const sectionId of sectionIds) {
+      const html = htmlBySectionId?.[sectionId];
+
+      if (typeof html === 'string') {
+        pending.get(sectionId)?.resolve(html);
+      } else {
+        pending.get(sectionId)?.reject(new SectionRenderError(sectionId, { url: url.toString(), status }));
+      }
+    }
+  }
+
+  /**
+   * Drops cached sections that show cart contents, so they are fetched again after the cart changes
+   */
+  #invalidateCartSections = () => {
+    /** @type {Set<string>} */
+    const cartSectionIds = new Set();
+
+    for (const section of document.querySelectorAll('.shopify-section')) {
+      if (section.querySelector(CART_DEPENDENT_SELECTOR)) {
+        cartSectionIds.add(normalizeSectionId(section.id));
+      }
+    }
+
+    const cartPath = new URL(Theme.routes.cart_url, location.origin).pathname;
+
+    this.#cache.deleteWhere((key) => {
+      const url = new URL(key);
+      return url.pathname === cartPath || cartSectionIds.has(url.searchParams.get('section_id') ?? '');
+    });
+  };
+
   /**
    * Caches the page sections
    */
@@ -110,6 +368,62 @@ class SectionRenderer {
   }
 }
 
+/**
+ * Fetches the HTML for one or more sections rendered for a page.
+ * A single section uses the `section_id` parameter, several are combined with the `sections` parameter.
+ * @param {URL} url - The page URL
+ * @param {string[]} sectionIds - The normalized section IDs
+ * @returns {Promise<{ status: number, htmlBySectionId: Record<string, string | null> | null }>} The response status,
+ *   and the HTML by section ID for successful responses, `null` for sections that failed to render
+ */
+async function fetchSectionsHTML(url, sectionIds) {
+  const [firstSectionId] = sectionIds;
+
+  if (sectionIds.length === 1 && firstSectionId) {
+    const response = await fetch(buildSectionRenderingURL(firstSectionId, new URL(url)));
+    if (!response.ok) return { status: response.status, htmlBySectionId: null };
+
+    return { status: response.status, htmlBySectionId: { [firstSectionId]: await response.text() } };
+  }
+
+  const sectionsUrl = new URL(url);
+  sectionsUrl.searchParams.set('sections', sectionIds.join(','));
+  sectionsUrl.searchParams.sort();
+
+  const response = await fetch(sectionsUrl);
+  if (!response.ok) return { status: response.status, htmlBySectionId: null };
+
+  return { status: response.status, htmlBySectionId: await response.json() };
+}
+
+/**
+ * Whether a failed request is worth repeating
+ * @param {number} status - The HTTP status, `0` when there was no response
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Dispatches a `section:render-error` event from the section, or from the document when the section is not on the page
+ * @param {SectionRenderError} error
+ */
+function dispatchSectionRenderError(error) {
+  const section = document.getElementById(buildSectionSelector(error.sectionId));
+  (section ?? document).dispatchEvent(new SectionRenderErrorEvent(error));
+}
+
+/**
+ * Flags a section whose last render failed with the `data-render-error` attribute
+ * @param {string} sectionId - The section ID
+ * @param {boolean} hasError
+ */
+function setSectionErrorState(sectionId, hasError) {
+  const section = document.getElementById(buildSectionSelector(normalizeSectionId(sectionId)));
+  section?.toggleAttribute('data-render-error', hasError);
+}
+
 const SECTION_ID_PREFIX = 'shopify-section-';
 
 /**
@@ -159,23 +473,35 @@ function containsShadowRoot(element) {
 /**
  * Morphs the existing section element with the new section contents
  *
+ * When the markup does not contain the section, the current DOM is kept, the section gets the
+ * `data-render-error` attribute and a `section:render-error` event is dispatched.
+ *
  * @param {string} sectionId - The section ID
- * @param {string} html - The new markup the section should morph into
+ * @param {string | null | undefined} html - The new markup the section should morph into
+ * @returns {Promise<boolean>} Whether the section was updated
  */
 export async function morphSection(sectionId, html) {
-  const fragment = new DOMParser().parseFromString(html, 'text/html');
   const existingElement = document.getElementById(buildSectionSelector(sectionId));
-  const newElement = fragment.getElementById(buildSectionSelector(sectionId));
 
   if (!existingElement) {
     throw new Error(`Section ${sectionId} not found`);
   }
 
+  const fragment = typeof html === 'string' ? new DOMParser().parseFromString(html, 'text/html') : null;
+  const newElement = fragment?.getElementById(buildSectionSelector(sectionId));
+
   if (!newElement) {
-    throw new Error(`Section ${sectionId} not found in the section rendering response`);
+    setSectionErrorState(sectionId, true);
+    dispatchSectionRenderError(
+      new SectionRenderError(sectionId, { message: `Section ${sectionId} not found in the section rendering response` })
+    );
+    return false;
   }
 
   morph(existingElement, newElement);
+  existingElement.removeAttribute('data-render-error');
+
+  return true;
 }
 
 export const sectionRenderer = new SectionRenderer();
@@ -0,0 +1,300 @@
+import { Component } from '@theme/component';
+
+/**
+ * @typedef {'success' | 'error' | 'info'} ToastType
+ */
+
+/**
+ * @typedef {object} ToastAction
+ * @property {string} label - The button text, e.g. "Undo".
+ * @property {() => void} onClick - Runs when the button is used. The toast closes afterwards.
+ */
+
+/**
+ * @typedef {object} ToastOptions
+ * @property {ToastType} [type] - Defaults to `success`. Errors are announced assertively.
+ * @property {number} [duration] - Milliseconds the toast stays up, not counting time spent paused.
+ * @property {ToastAction} [action] - An optional action button.
+ * @property {() => void} [onDismiss] - Runs when the toast closes without its action being used.
+ */
+
+/**
+ * @typedef {object} ToastHandle
+ * @property {() => void} dismiss - Closes the toast, or drops it from the queue if it is not shown yet.
+ */
+
+/**
+ * @typedef {object} ToastEntry
+ * @property {string} message
+ * @property {ToastOptions} options
+ * @property {number} remaining - Milliseconds left before the toast closes.
+ * @property {number} startedAt - When the current countdown started.
+ * @property {ReturnType<typeof setTimeout> | undefined} timer
+ * @property {HTMLElement | undefined} element
+ * @property {boolean} actionUsed
+ */
+
+const DEFAULT_DURATION = 3000;
+const ACTION_DURATION = 6000;
+const MAX_VISIBLE_TOASTS = 3;
+
+/**
+ * A custom element that stacks toast notifications. Toasts beyond the visible limit wait in a queue,
+ * countdowns pause while the stack is hovered or focused, and each message is announced to screen readers.
+ *
+ * Use `showToast` rather than talking to the element directly.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} politeRegion - The live region for regular messages.
+ * @property {HTMLElement} assertiveRegion - The live region for errors.
+ *
+ * @extends {Component<Refs>}
+ */
+export class ToastQueue extends Component {
+  requiredRefs = ['politeRegion', 'assertiveRegion'];
+
+  /** @type {ToastEntry[]} */
+  #pending = [];
+
+  /** @type {Set<ToastEntry>} */
+  #visible = new Set();
+
+  #paused = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener('pointerenter', this.#pause);
+    this.addEventListener('pointerleave', this.#resume);
+    this.addEventListener('focusin', this.#pause);
+    this.addEventListener('focusout', this.#handleFocusOut);
+    this.addEventListener('keydown', this.#handleKeyDown);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('pointerenter', this.#pause);
+    this.removeEventListener('pointerleave', this.#resume);
+    this.removeEventListener('focusin', this.#pause);
+    this.removeEventListener('focusout', this.#handleFocusOut);
+    this.removeEventListener('keydown', this.#handleKeyDown);
+  }
+
+  /**
+   * Adds a toast to the queue.
+   * @param {string} message - The message, shown as plain text.
+   * @param {ToastOptions} [options]
+   * @returns {ToastHandle}
+   */
+  show(message, options = {}) {
+    /** @type {ToastEntry} */
+    const entry = {
+      message,
+      options,
+      remaining: options.duration ?? (options.action ? ACTION_DURATION : DEFAULT_DURATION),
+      startedAt: 0,
+      timer: undefined,
+      element: undefined,
+      actionUsed: false,
+    };
+
+    this.#pending.push(entry);
+    this.#flush();
+
+    return { dismiss: () => this.#dismiss(entry) };
+  }
+
+  /**
+   * Shows queued toasts while there is room in the stack.
+   */
+  #flush() {
+    while (this.#visible.size < MAX_VISIBLE_TOASTS) {
+      const entry = this.#pending.shift();
+      if (!entry) return;
+      this.#render(entry);
+    }
+  }
+
+  /**
+   * @param {ToastEntry} entry
+   */
+  #render(entry) {
+    const { message, options } = entry;
+    const type = options.type ?? 'success';
+
+    const element = document.createElement('div');
+    element.className = `toast toast--${type}`;
+
+    const text = document.createElement('p');
+    text.className = 'toast__message';
+    text.textContent = message;
+    element.append(text);
+
+    const { action } = options;
+    if (action) {
+      const actionButton = document.createElement('button');
+      actionButton.type = 'button';
+      actionButton.className = 'toast__action';
+      actionButton.textContent = action.label;
+      actionButton.addEventListener('click', () => {
+        entry.actionUsed = true;
+        action.onClick();
+        this.#dismiss(entry);
+      });
+      element.append(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'toast__close';
+    closeButton.setAttribute('aria-label', this.dataset.closeLabel || 'Close');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => this.#dismiss(entry));
+    element.append(closeButton);
+
+    entry.element = element;
+    this.#visible.add(entry);
+    this.append(element);
+    this.#announce(action ? `${message} ${action.label}` : message, type === 'error');
+
+    requestAnimationFrame(() => element.classList.add('is-active'));
+
+    if (!this.#paused) this.#startTimer(entry);
+  }
+
+  /**
+   * @param {ToastEntry} entry
+   */
+  #dismiss(entry) {
+    const pendingIndex = this.#pending.indexOf(entry);
+    if (pendingIndex !== -1) {
+      this.#pending.splice(pendingIndex, 1);
+      entry.options.onDismiss?.();
+      return;
+    }
+
+    if (!this.#visible.delete(entry)) return;
+
+    clearTimeout(entry.timer);
+    if (!entry.actionUsed) entry.options.onDismiss?.();
+
+    const { element } = entry;
+    if (element) {
+      // Keep keyboard users inside the stack instead of dropping focus on the body
+      const hadFocus = element.contains(document.activeElement);
+      element.classList.remove('is-active');
+      setTimeout(() => element.remove(), 300);
+
+      if (hadFocus) {
+        const [next] = this.#visible;
+        next?.element?.querySelector('button')?.focus();
+      }
+    }
+
+    this.#flush();
+
+    if (this.#visible.size === 0) this.#paused = false;
+  }
+
+  /**
+   * @param {ToastEntry} entry
+   */
+  #startTimer(entry) {
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => this.#dismiss(entry), entry.remaining);
+  }
+
+  #pause = () => {
+    if (this.#paused) return;
+    this.#paused = true;
+
+    for (const entry of this.#visible) {
+      clearTimeout(entry.timer);
+      entry.remaining = Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+    }
+  };
+
+  #resume = () => {
+    if (!this.#paused || this.matches(':hover') || this.contains(document.activeElement)) return;
+    this.#paused = false;
+
+    for (const entry of this.#visible) {
+      this.#startTimer(entry);
+    }
+  };
+
+  /**
+   * @param {FocusEvent} event
+   */
+  #handleFocusOut = (event) => {
+    if (event.relatedTarget instanceof Node && this.contains(event.relatedTarget)) return;
+    // Focus has not moved yet while focusout is dispatched
+    requestAnimationFrame(this.#resume);
+  };
+
+  /**
+   * Dismisses the focused toast with the Escape key.
+   * @param {KeyboardEvent} event
+   */
+  #handleKeyDown = (event) => {
+    if (event.key !== 'Escape' || !(event.target instanceof Node)) return;
+
+    const target = event.target;
+    for (const entry of this.#visible) {
+      if (entry.element?.contains(target)) {
+        event.stopPropagation();
+        this.#dismiss(entry);
+        return;
+      }
+    }
+  };
+
+  /**
+   * @param {string} message
+   * @param {boolean} urgent
+   */
+  #announce(message, urgent) {
+    const region = urgent ? this.refs.assertiveRegion : this.refs.politeRegion;
+
+    // Clear first so repeating the same message is announced again
+    region.textContent = '';
+    requestAnimationFrame(() => {
+      region.textContent = message;
+    });
+  }
+}
+
+if (!customElements.get('toast-queue')) {
+  customElements.define('toast-queue', ToastQueue);
+}
+
+/**
+ * Shows a toast in the page-wide queue, creating the queue element if the page does not render one.
+ *
+ * @param {string} message - The message, shown as plain text.
+ * @param {ToastOptions} [options]
+ * @returns {ToastHandle}
+ */
+export function showToast(message, options) {
+  let queue = document.querySelector('toast-queue');
+
+  if (!(queue instanceof ToastQueue)) {
+    queue = document.createElement('toast-queue');
+    queue.className = 'toast-queue';
+
+    // The live regions are refs, so they have to exist before the queue is connected
+    for (const [ref, politeness] of Object.entries({ politeRegion: 'polite', assertiveRegion: 'assertive' })) {
+      const region = document.createElement('div');
+      region.className = 'visually-hidden';
+      region.setAttribute('ref', ref);
+      region.setAttribute('aria-live', politeness);
+      region.setAttribute('aria-atomic', 'true');
+      queue.append(region);
+    }
+
+    document.body.append(queue);
+  }
+
+  return /** @type {ToastQueue} */ (queue).show(message, options);
+}
@@ -257,6 +257,126 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+export const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
+
+/**
+ * Gets the number of decimals of a currency
+ * @param {string} currency The currency code, like `JPY`
+ * @returns {number}
+ */
+export function getCurrencyPrecision(currency) {
+  return CURRENCY_DECIMALS[currency?.toUpperCase() ?? ''] ?? DEFAULT_CURRENCY_DECIMALS;
+}
+
+/**
+ * Formats an amount in cents with a Shopify money format, replicating the `money` liquid filters.
+ * @param {number} cents The amount in cents (hundredths of one major currency unit)
+ * @param {string} format The shop money format without HTML, like `${{amount}}`
+ * @param {object} [options]
+ * @param {string} [options.currency] The currency code, used for the `{{currency}}` placeholder
+ * @param {number} [options.precision] The decimals of the currency, for placeholders that keep decimals
+ * @returns {string} The formatted amount
+ */
+export function formatCents(cents, format, { currency = '', precision = 2 } = {}) {
+  return format.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let decimals = precision;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      decimals = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      decimals = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimals = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    const roundedNumber = (cents / 100).toFixed(decimals);
+
+    let [a, b] = roundedNumber.split('.');
+    if (!a) a = '0';
+    if (!b) b = '';
+
+    // Split by groups of 3 digits
+    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+    return decimals <= 0 ? a : a + decimalSeparator + b.padEnd(decimals, '0');
+  });
+}
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
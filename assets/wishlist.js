@@ -1,1893 +1,3265 @@
+import { Component } from '@theme/component';
+import {
+  ThemeEvents,
+  CartAddEvent,
+  WishlistUpdateEvent,
+  WishlistItemChangeEvent,
+  WishlistSaveEvent,
+  CartQueueUpdateEvent,
+} from '@theme/events';
+import { showToast } from '@theme/toast';
+
+/**
+ * @typedef {Object} WishlistItem
+ * @property {string|number} id
+ * @property {string} title
+ * @property {string} image
+ * @property {string} url
+ * @property {string} price
+ * @property {number} [price_cents] - Price of the saved variant when it was last seen, used to detect price drops
+ * @property {string|number} variant_id
+ * @property {boolean} available
+ * @property {string} handle
+ * @property {string} [added_at]
+ * @property {string} [list_id]
+ */
+
+/**
+ * @typedef {'price_drop' | 'back_in_stock'} WishlistItemChangeType
+ */
+
+/**
+ * Detail of the `wishlist:item-changed` event
+ * @typedef {Object} WishlistItemChange
+ * @property {WishlistItem} item
+ * @property {WishlistItemChangeType[]} types
+ * @property {number | undefined} previousPrice - Price in cents when the item was last seen
+ * @property {number} currentPrice - Current price in cents
+ */
+
+/**
+ * @typedef {Object} WishlistList
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} WishlistData
+ * @property {WishlistList[]} lists
+ * @property {WishlistItem[]} items
+ */
+
+/**
+ * What subscribers and `wishlist:update` listeners receive
+ * @typedef {Object} WishlistState
+ * @property {number} count - The number shown by wishlist counters
+ * @property {WishlistItem[]} items - Every saved item, across all lists
+ * @property {WishlistList[]} lists
+ * @property {string} activeListId
+ */
+
+/**
+ * @typedef {Object} WishlistChangeOptions
+ * @property {string} [message] - Replaces the toast shown after the change
+ */
+
+/**
+ * @typedef {Object} ProductOption
+ * @property {string} name
+ * @property {number} position
+ * @property {string[]} values
+ */
+
+/**
+ * @typedef {Object} ProductVariant
+ * @property {string|number} id
+ * @property {boolean} available
+ * @property {number} price
+ * @property {string[]} options
+ * @property {string|undefined} option1
+ * @property {string|undefined} option2
+ * @property {string|undefined} option3
+ * @property {string|undefined} featuredImage
+ * @property {VariantQuantityRule} [quantityRule]
+ */
+
+/**
+ * @typedef {Object} VariantQuantityRule
+ * @property {number} min
+ * @property {number | null} max - `null` when there is no maximum
+ * @property {number} increment
+ */
+
 /**
- * Simplified Wishlist Controller - Based on working original
- * Eliminates over-engineering that caused counter glitching
+ * @typedef {Object} ProductData
+ * @property {string|number} [id]
+ * @property {string} [title]
+ * @property {string} handle
+ * @property {string} [url]
+ * @property {ProductOption[]} options
+ * @property {ProductVariant[]} variants
+ * @property {string|undefined} featuredImage
+ * @property {string|undefined} featuredMedia
+ * @property {string[]|undefined} images
+ * @property {Record<string, string>} [variantMedia]
  */
 
-(function() {
-  'use strict';
+/**
+ * @typedef {Object} WishlistGalleryMeta
+ * @property {boolean} isVariant
+ * @property {boolean} isSelectedVariant
+ * @property {string | undefined} [variantId]
+ */
+
+/**
+ * @typedef {Object} WishlistProductState
+ * @property {ProductData} productData
+ * @property {string} baseUrl
+ * @property {ProductVariant} selectedVariant
+ */
+
+/**
+ * @typedef {Object} WishlistRenderResult
+* @property {WishlistItem} item
+* @property {ProductData | undefined} productData
+* @property {ProductVariant | undefined} selectedVariant
+* @property {string} html
+* @property {boolean} storageDirty
+ * @property {boolean} shouldInitVariantPicker
+ * @property {WishlistItemChange | undefined} change - Set when this render detected a new change
+*/
+
+/**
+ * @typedef {Object} WishlistStorageAdapter
+ * @property {string} storageKey - localStorage key the adapter mirrors to, used for cross-tab sync
+ * @property {() => unknown} read - Reads the locally cached lists
+ * @property {(data: WishlistData) => void} write - Persists the lists
+ * @property {() => Promise<unknown | undefined>} [sync] - Reconciles the local lists with the remote store
+ */
+
+/**
+ * Default adapter - keeps the wishlist in localStorage on this device only
+ * @implements {WishlistStorageAdapter}
+ */
+class LocalStorageWishlistAdapter {
+  /**
+   * @param {string} storageKey
+   */
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * @returns {unknown}
+   */
+  read() {
+    const stored = localStorage.getItem(this.storageKey);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  /**
+   * @param {WishlistData} data
+   */
+  write(data) {
+    localStorage.setItem(this.storageKey, JSON.stringify(data));
+  }
+}
+
+/**
+ * Reads and writes the wishlist through a JSON endpoint (app proxy, metafield writer...)
+ * for logged-in customers. localStorage is kept as a cache so the list renders instantly
+ * and the `storage` event keeps working across tabs. The cache is kept per customer, so
+ * nobody else using the browser sees it.
+ *
+ * The endpoint must answer GET with `{ lists: WishlistList[], items: WishlistItem[] }`
+ * (a bare item array is read as a single list) and accept POST with `{ lists, items }`.
+ * No customer id is sent: the endpoint must identify the customer from the signed
+ * `logged_in_customer_id` parameter the app proxy adds to the request.
+ * @implements {WishlistStorageAdapter}
+ */
+class RemoteWishlistAdapter extends LocalStorageWishlistAdapter {
+  /**
+   * Whether the remote list has been loaded; writes are held back until then so an
+   * anonymous list never overwrites the customer's saved one
+   * @type {boolean}
+   */
+  #synced = false;
+
+  /**
+   * Chains remote writes so they reach the endpoint in order
+   * @type {Promise<void>}
+   */
+  #pendingWrite = Promise.resolve();
+
+  /**
+   * @param {string} storageKey - The cache of this customer's lists
+   * @param {{ endpoint: string; anonymousKey: string }} options
+   */
+  constructor(storageKey, { endpoint, anonymousKey }) {
+    super(storageKey);
+    this.endpoint = endpoint;
+    this.anonymousKey = anonymousKey;
+  }
+
+  /**
+   * @param {WishlistData} data
+   */
+  write(data) {
+    super.write(data);
+
+    if (!this.#synced) return;
+    this.#push(data);
+  }
+
+  /**
+   * Loads the remote lists, which are the source of truth. Items saved while logged out
+   * are merged into them and then removed from the logged-out list, so they move to the
+   * customer's lists each time someone logs in on this device.
+   * @returns {Promise<WishlistData | undefined>}
+   */
+  async sync() {
+    try {
+      const response = await fetch(this.endpoint, {
+        headers: { Accept: 'application/json' },
+        credentials: 'same-origin',
+      });
+      if (!response.ok) {
+        throw new Error(`Wishlist endpoint responded with ${response.status}`);
+      }
+
+      const remoteData = toWishlistData(await response.json());
+      const anonymousData = this.#readAnonymous();
+      const data = anonymousData ? mergeWishlistData(anonymousData, remoteData) : remoteData;
+
+      this.#synced = true;
+      super.write(data);
+
+      if (anonymousData) {
+        this.#push(data);
+        localStorage.removeItem(this.anonymousKey);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Failed to sync wishlist with remote storage:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * @returns {WishlistData | undefined} The lists saved while logged out, when they hold any items
+   */
+  #readAnonymous() {
+    try {
+      const data = toWishlistData(JSON.parse(localStorage.getItem(this.anonymousKey) || '[]'));
+      return data.items.length > 0 ? data : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {WishlistData} data
+   */
+  #push(data) {
+    const body = JSON.stringify({ lists: data.lists, items: data.items });
+
+    this.#pendingWrite = this.#pendingWrite
+      .then(() =>
+        fetch(this.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          credentials: 'same-origin',
+          body,
+        })
+      )
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Wishlist endpoint responded with ${response.status}`);
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to save wishlist to remote storage:', error);
+      });
+  }
+}
+
+/**
+ * Remove the lists cached for customers who logged in on this browser, once nobody is logged in
+ * @param {string} storageKey - The key of the logged-out list, customer caches are prefixed with it
+ */
+function clearCustomerCaches(storageKey) {
+  const customerCacheKey = new RegExp(`^${storageKey}:\\d+(:active)?$`);
+
+  try {
+    Object.keys(localStorage)
+      .filter((key) => customerCacheKey.test(key))
+      .forEach((key) => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('Unable to clear cached customer wishlists', error);
+  }
+}
+
+/** Id of the list items belong to when they were saved before lists existed */
+const DEFAULT_LIST_ID = 'default';
+
+/**
+ * Read stored data in either the current `{ lists, items }` shape or the legacy item array
+ * @param {unknown} raw
+ * @returns {WishlistData}
+ */
+function toWishlistData(raw) {
+  if (Array.isArray(raw)) {
+    return { lists: [], items: raw };
+  }
+
+  const data = /** @type {Partial<WishlistData> | null | undefined} */ (raw);
+  return {
+    lists: Array.isArray(data?.lists) ? data.lists : [],
+    items: Array.isArray(data?.items) ? data.items : [],
+  };
+}
+
+/**
+ * Merge two sets of lists. Lists are matched by id and items are merged per list.
+ * @param {WishlistData} localData
+ * @param {WishlistData} remoteData
+ * @returns {WishlistData}
+ */
+function mergeWishlistData(localData, remoteData) {
+  /** @type {Map<string, WishlistList>} */
+  const lists = new Map();
+  [...localData.lists, ...remoteData.lists].forEach((list) => {
+    if (list && typeof list === 'object' && list.id) {
+      lists.set(String(list.id), list);
+    }
+  });
+
+  return {
+    lists: [...lists.values()],
+    items: mergeWishlistItems(localData.items, remoteData.items),
+  };
+}
+
+/**
+ * Merge two wishlists by list and product id. When both contain the same product in the
+ * same list, the entry with the most recent `added_at` wins.
+ * @param {WishlistItem[]} localItems
+ * @param {WishlistItem[]} remoteItems
+ * @returns {WishlistItem[]}
+ */
+function mergeWishlistItems(localItems, remoteItems) {
+  /** @type {Map<string, WishlistItem>} */
+  const merged = new Map();
+
+  /** @param {WishlistItem | undefined} item */
+  const addedAt = (item) => {
+    const time = item?.added_at ? Date.parse(item.added_at) : NaN;
+    return Number.isNaN(time) ? 0 : time;
+  };
+
+  [...remoteItems, ...localItems].forEach((item) => {
+    if (!item || typeof item !== 'object' || item.id === undefined || item.id === null) {
+      return;
+    }
+    const key = `${item.list_id || DEFAULT_LIST_ID}:${item.id}`;
+    const existing = merged.get(key);
+    if (!existing || addedAt(item) > addedAt(existing)) {
+      merged.set(key, item);
+    }
+  });
+
+  return [...merged.values()].sort((a, b) => addedAt(a) - addedAt(b));
+}
+
+/** Query parameter that carries a shared wishlist on the wishlist page */
+const SHARE_PARAM = 'shared';
+
+/** Keeps share links short enough for messaging apps and QR codes */
+const SHARE_MAX_ITEMS = 50;
+
+/**
+ * @typedef {Object} SharedWishlistEntry
+ * @property {string} handle
+ * @property {string} [variantId]
+ */
+
+/**
+ * Serialise products into a URL-safe token. Each entry is `handle~variantId` with the
+ * variant id in base 36, and the joined list is base64url encoded so non-latin handles survive.
+ * @param {SharedWishlistEntry[]} entries
+ * @returns {string}
+ */
+function encodeShareToken(entries) {
+  const payload = entries
+    .slice(0, SHARE_MAX_ITEMS)
+    .map(({ handle, variantId }) => {
+      const numericVariantId = Number(variantId);
+      return Number.isSafeInteger(numericVariantId) && numericVariantId > 0
+        ? `${handle}~${numericVariantId.toString(36)}`
+        : handle;
+    })
+    .join('.');
+
+  let binary = '';
+  new TextEncoder().encode(payload).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Read a token created by `encodeShareToken`. Malformed tokens yield an empty list.
+ * @param {string} token
+ * @returns {SharedWishlistEntry[]}
+ */
+function decodeShareToken(token) {
+  try {
+    const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    const payload = new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+
+    return payload
+      .split('.')
+      .slice(0, SHARE_MAX_ITEMS)
+      .map((entry) => {
+        const [handle = '', variantId] = entry.split('~');
+        const numericVariantId = variantId ? parseInt(variantId, 36) : NaN;
+        return {
+          handle,
+          variantId: Number.isNaN(numericVariantId) ? undefined : String(numericVariantId),
+        };
+      })
+      .filter((entry) => /^[^\s/?#]+$/.test(entry.handle));
+  } catch (error) {
+    console.warn('Unable to read shared wishlist token', error);
+    return [];
+  }
+}
+
+/**
+ * Owns the saved items and renders the wishlist page. Other scripts use the exported
+ * `add`/`remove`/`toggle`/`contains`/`subscribe` functions rather than this class.
+ */
+class WishlistController {
+  constructor() {
+    /** @type {WishlistStorageAdapter} */
+    this.storage = this.createStorageAdapter('shopify-wishlist');
+    this.storageKey = this.storage.storageKey;
+    this.activeListStorageKey = `${this.storageKey}:active`;
+
+    const config = typeof Theme !== 'undefined' ? Theme.wishlist : undefined;
+    this.listsEnabled = Boolean(config?.lists_enabled);
+    /** @type {'total' | 'active'} */
+    this.counterScope = config?.counter_scope === 'active' ? 'active' : 'total';
+
+    /**
+     * @type {WishlistList[]}
+     */
+    this.lists = [];
+    /**
+     * @type {WishlistItem[]}
+     */
+    this.items = [];
+    this.activeListId = DEFAULT_LIST_ID;
+    this.applyData(this.loadFromStorage());
+    this.activeListId = this.resolveListId(localStorage.getItem(this.activeListStorageKey));
+    
+    this.classes = {
+      hidden: 'is-hidden'
+    };
+
+    /** @type {Map<string, ProductData>} */
+    this.productCache = new Map();
+    /** @type {Map<string, WishlistProductState>} */
+    this.wishlistProductData = new Map();
+    /** @type {WeakMap<HTMLElement, { detach: () => void }>} */
+    this.galleryHoverHandlers = new WeakMap();
+    /**
+     * Changes detected during this page view, keyed by list and product id. The stored snapshot
+     * is updated as soon as a change is found, so badges only last until the next page load.
+     * @type {Map<string, WishlistItemChange>}
+     */
+    this.itemChanges = new Map();
+    /** @type {HTMLElement | undefined} */
+    this.listPicker = undefined;
+    /** @type {{ button: HTMLElement; product: WishlistItem } | undefined} */
+    this.listPickerContext = undefined;
+
+    /** Token of a wishlist someone shared with this visitor, shown read-only instead of their own */
+    this.sharedToken = new URLSearchParams(window.location.search).get(SHARE_PARAM) || undefined;
+    /** @type {WishlistItem[] | undefined} */
+    this.sharedItems = undefined;
+    /** @type {Promise<void> | undefined} */
+    this.sharedItemsRequest = undefined;
+
+    const themeTranslations = typeof Theme !== 'undefined' ? Theme.translations : {};
+    this.translations = {
+      addToCart: 'Add to cart',
+      soldOut: 'Sold out',
+      defaultListName: themeTranslations.wishlist_default_list_name || 'Wishlist',
+      saveTo: themeTranslations.wishlist_save_to || 'Save to list',
+      newList: themeTranslations.wishlist_new_list || 'New list name',
+      createList: themeTranslations.wishlist_create_list || 'Create list',
+      renameList: themeTranslations.wishlist_rename_list || 'Rename',
+      deleteList: themeTranslations.wishlist_delete_list || 'Delete list',
+      deleteListConfirm: themeTranslations.wishlist_delete_list_confirm || 'Delete this list and its items?',
+      listName: themeTranslations.wishlist_list_name || 'List name',
+      moveOrCopy: themeTranslations.wishlist_move_or_copy || 'Move or copy to…',
+      moveTo: themeTranslations.wishlist_move_to || 'Move to',
+      copyTo: themeTranslations.wishlist_copy_to || 'Copy to',
+      sharedSaved: themeTranslations.wishlist_shared_saved || 'Saved to your wishlist',
+      addAllError: themeTranslations.wishlist_add_all_error || 'Could not add the items to your cart. Please try again.',
+      priceDrop: themeTranslations.wishlist_price_drop || 'Price drop',
+      backInStock: themeTranslations.wishlist_back_in_stock || 'Back in stock',
+      undo: themeTranslations.wishlist_undo || 'Undo',
+      moveToCart: themeTranslations.wishlist_move_to_cart || 'Move to cart',
+      movedToCart: themeTranslations.wishlist_moved_to_cart || 'Moved to your cart',
+      moveToCartError: themeTranslations.wishlist_move_to_cart_error || 'Could not add this item to your cart. Please try again.',
+      quantityLimit: themeTranslations.wishlist_quantity_limit || 'You can\'t add more of this item to your cart',
+      added: themeTranslations.wishlist_added || 'Added to your wishlist',
+      removed: themeTranslations.wishlist_removed || 'Removed from your wishlist'
+    };
+
+    this.variantPickerEnabled = true;
+    this.sortChangesFirst = false;
+
+    const wishlistContainer = document.querySelector('.wishlist-container');
+    if (wishlistContainer instanceof HTMLElement) {
+      this.translations.addToCart = wishlistContainer.dataset.wishlistAddText || this.translations.addToCart;
+      this.translations.soldOut = wishlistContainer.dataset.wishlistSoldOutText || this.translations.soldOut;
+      if (wishlistContainer.dataset.enableVariantPicker !== undefined) {
+        this.variantPickerEnabled = wishlistContainer.dataset.enableVariantPicker !== 'false';
+      }
+      this.sortChangesFirst = wishlistContainer.dataset.sortChangesFirst === 'true';
+    }
+    
+    this.handleCartUpdate = this.handleCartUpdate.bind(this);
+    this.handleCartError = this.handleCartError.bind(this);
+    this.handleSaveRequest = this.handleSaveRequest.bind(this);
+    this.handleCartQueueUpdate = this.handleCartQueueUpdate.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.renderWishlistPage();
+    this.syncWithStorage();
+  }
+
+  /**
+   * Pick the storage adapter - the remote one is only used for logged-in customers
+   * when an endpoint is configured in the theme settings. Logged-out visitors use
+   * `storageKey`, each customer gets their own cache key.
+   * @param {string} storageKey
+   * @returns {WishlistStorageAdapter}
+   */
+  createStorageAdapter(storageKey) {
+    const config = typeof Theme !== 'undefined' ? Theme.wishlist : undefined;
+    const endpoint = config?.sync_endpoint?.trim();
+    const customerId = config?.customer_id;
+
+    if (endpoint && customerId) {
+      return new RemoteWishlistAdapter(`${storageKey}:${customerId}`, { endpoint, anonymousKey: storageKey });
+    }
+
+    clearCustomerCaches(storageKey);
+    return new LocalStorageWishlistAdapter(storageKey);
+  }
+
+  /**
+   * Reconcile the local list with the storage adapter's remote store, if it has one
+   */
+  async syncWithStorage() {
+    if (typeof this.storage.sync !== 'function') {
+      return;
+    }
+
+    const syncedData = await this.storage.sync();
+    if (!syncedData) {
+      return;
+    }
+
+    this.applyData(this.normalizeData(syncedData));
+    this.dispatchUpdateEvent();
+    this.renderWishlistPage();
+  }
+
+  /**
+   * @returns {WishlistData}
+   */
+  loadFromStorage() {
+    try {
+      return this.normalizeData(this.storage.read());
+    } catch (error) {
+      console.error('Failed to load wishlist from storage:', error);
+      return this.normalizeData([]);
+    }
+  }
+
+  /**
+   * @param {WishlistData} data
+   */
+  applyData(data) {
+    this.lists = data.lists;
+    this.items = data.items;
+    this.activeListId = this.resolveListId(this.activeListId);
+  }
+
+  /**
+   * @returns {WishlistData}
+   */
+  getData() {
+    return { lists: [...this.lists], items: this.getItems() };
+  }
+
+  /**
+   * Normalize stored data, migrating the legacy item array into the default list
+   * @param {unknown} raw
+   * @returns {WishlistData}
+   */
+  normalizeData(raw) {
+    const data = toWishlistData(raw);
+
+    /** @type {WishlistList[]} */
+    const lists = [];
+    data.lists.forEach((rawList) => {
+      const list = /** @type {any} */ (rawList);
+      if (!list || typeof list !== 'object' || !list.id || lists.some((existing) => existing.id === String(list.id))) {
+        return;
+      }
+      lists.push({
+        id: String(list.id),
+        name: String(list.name ?? ''),
+        created_at: list.created_at
+      });
+    });
+
+    if (lists.length === 0) {
+      lists.push({ id: DEFAULT_LIST_ID, name: '' });
+    }
+
+    const fallbackListId = lists[0]?.id || DEFAULT_LIST_ID;
+    const items = this.normalizeItems(data.items).map((item) => {
+      if (!lists.some((list) => list.id === item.list_id)) {
+        item.list_id = fallbackListId;
+      }
+      return item;
+    });
+
+    return { lists, items };
+  }
+
+  /**
+   * @param {unknown} items
+   * @returns {WishlistItem[]}
+   */
+  normalizeItems(items) {
+    return Array.isArray(items)
+      ? items
+          .filter((rawItem) => rawItem && typeof rawItem === 'object')
+          .map((rawItem) => {
+            const item = /** @type {any} */ (rawItem);
+            const availableValue =
+              item.available === undefined
+                ? true
+                : item.available === true || item.available === 'true';
+
+            return /** @type {WishlistItem} */ ({
+              id: item.id,
+              title: String(item.title ?? ''),
+              image: String(item.image ?? ''),
+              url: String(item.url ?? ''),
+              price: String(item.price ?? ''),
+              price_cents: Number.isFinite(item.price_cents) ? item.price_cents : undefined,
+              variant_id: item.variant_id,
+              available: availableValue,
+              handle: typeof item.handle === 'string' ? item.handle : '',
+              added_at: item.added_at,
+              list_id: typeof item.list_id === 'string' && item.list_id ? item.list_id : DEFAULT_LIST_ID,
+            });
+          })
+      : [];
+  }
+
+  saveToStorage() {
+    try {
+      this.storage.write(this.getData());
+      // Buttons and counters re-render from this event
+      this.dispatchUpdateEvent();
+    } catch (error) {
+      console.error('Failed to save wishlist to storage:', error);
+    }
+  }
+
+  /**
+   * Count shown by the header, bottom menu and bubble counters - either every saved
+   * product or only the active list, depending on the theme setting
+   * @returns {number}
+   */
+  getCount() {
+    if (this.listsEnabled && this.counterScope === 'active') {
+      return this.getItems(this.activeListId).length;
+    }
+    return new Set(this.items.map((item) => String(item.id))).size;
+  }
+
+  /**
+   * Escape HTML entities in a string
+   * @param {unknown} value
+   * @returns {string}
+   */
+  escapeHtml(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * @param {number | string} cents
+   * @returns {string}
+   */
+  formatMoney(cents) {
+    if (cents === undefined || cents === null || Number.isNaN(Number(cents))) {
+      return '';
+    }
+
+    if (typeof cents === 'string') {
+      const digitsOnly = cents.replace(/[^0-9.-]/g, '');
+      if (digitsOnly !== '') {
+        const parsed = Number(digitsOnly);
+        if (!Number.isNaN(parsed)) {
+          cents = parsed;
+        }
+      }
+    }
+
+    const amount = Number(cents);
+    if (Number.isNaN(amount)) {
+      return typeof cents === 'string' ? cents : '';
+    }
+    try {
+      const shopifyGlobal = /** @type {{ formatMoney?: (value: number, format: string) => string, money_format?: string, currency?: { active?: string }, locale?: string } | undefined} */ ((/** @type {any} */ (window)).Shopify);
+      if (shopifyGlobal && typeof shopifyGlobal.formatMoney === 'function') {
+        const themeSettings = /** @type {{ moneyFormat?: string } | undefined} */ ((/** @type {any} */ (window)).theme);
+        const format = themeSettings?.moneyFormat || shopifyGlobal.money_format || '${{amount}}';
+        return shopifyGlobal.formatMoney(amount, format);
+      }
+
+      const currency = shopifyGlobal?.currency?.active || 'USD';
+      const locale = shopifyGlobal?.locale || (typeof navigator !== 'undefined' ? navigator.language : 'en-US');
+      return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        currencyDisplay: 'symbol'
+      }).format(amount / 100);
+    } catch (error) {
+      console.warn('Failed to format money, falling back to plain number:', error);
+      return `$${(amount / 100).toFixed(2)}`;
+    }
+  }
+
+  /**
+   * Safely read a theme setting exposed on window.theme.settings
+   * @template T
+   * @param {string} key
+   * @param {T} defaultValue
+   * @returns {T}
+   */
+  getThemeSetting(key, defaultValue) {
+    try {
+      const windowAny = /** @type {any} */ (window);
+      const themeSettings = /** @type {Record<string, unknown> | undefined} */ (windowAny?.theme?.settings);
+      if (themeSettings && Object.prototype.hasOwnProperty.call(themeSettings, key)) {
+        return /** @type {T} */ (/** @type {any} */ (themeSettings[key]));
+      }
+    } catch (error) {
+      console.warn('Unable to access theme setting', key, error);
+    }
+    return defaultValue;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {string}
+   */
+  escapeSelector(value) {
+    if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+      return CSS.escape(value);
+    }
+    return value.replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+  }
+
+  /**
+   * @param {WishlistItem} item
+   * @returns {string | undefined}
+   */
+  getProductHandle(item) {
+    if (item.handle) {
+      return item.handle;
+    }
+
+    try {
+      const url = new URL(item.url, window.location.origin);
+      const segments = url.pathname.split('/').filter(Boolean);
+      const handleIndex = segments.indexOf('products');
+      if (handleIndex !== -1 && segments[handleIndex + 1]) {
+        return segments[handleIndex + 1];
+      }
+    } catch (error) {
+      console.warn('Unable to determine product handle from URL', item.url, error);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * @param {any} rawData
+   * @returns {ProductData | undefined}
+   */
+  normalizeProductData(rawData) {
+    if (!rawData || typeof rawData !== 'object') {
+      return undefined;
+    }
+
+    /** @type {ProductOption[]} */
+    const options = [];
+    if (Array.isArray(rawData.options)) {
+      for (let index = 0; index < rawData.options.length; index += 1) {
+        const option = /** @type {any} */ (rawData.options[index]);
+        if (option && typeof option === 'object') {
+          const values = Array.isArray(option.values) ? option.values.map(String) : [];
+          options.push({
+            name: typeof option.name === 'string' ? option.name : `Option ${index + 1}`,
+            position: typeof option.position === 'number' ? option.position : index + 1,
+            values
+          });
+        } else {
+          options.push({
+            name: String(option ?? `Option ${index + 1}`),
+            position: index + 1,
+            values: []
+          });
+        }
+      }
+    }
+
+    /** @type {ProductVariant[]} */
+    const variants = [];
+    if (Array.isArray(rawData.variants)) {
+      for (const rawVariant of rawData.variants) {
+        const variant = /** @type {any} */ (rawVariant);
+        if (!variant || typeof variant !== 'object') {
+          continue;
+        }
+
+        const optionsArray = Array.isArray(variant.options) && variant.options.length > 0
+          ? variant.options.map(String)
+          : [variant.option1, variant.option2, variant.option3].filter((value) => typeof value === 'string');
+
+        const featuredImageSrc =
+          typeof variant.featured_image === 'object' && variant.featured_image
+            ? variant.featured_image.src
+            : variant.featured_image;
+
+        const rule = variant.quantity_rule && typeof variant.quantity_rule === 'object' ? variant.quantity_rule : null;
+
+        variants.push({
+          id: variant.id,
+          available: Boolean(variant.available),
+          price: Number(variant.price),
+          options: optionsArray,
+          option1: typeof variant.option1 === 'string' ? variant.option1 : undefined,
+          option2: typeof variant.option2 === 'string' ? variant.option2 : undefined,
+          option3: typeof variant.option3 === 'string' ? variant.option3 : undefined,
+          featuredImage: typeof featuredImageSrc === 'string' ? featuredImageSrc : undefined,
+          quantityRule: rule
+            ? {
+                min: Number(rule.min) || 1,
+                max: rule.max === null || rule.max === undefined ? null : Number(rule.max),
+                increment: Number(rule.increment) || 1
+              }
+            : undefined
+        });
+      }
+    }
+
+    const id = typeof rawData.id === 'string' || typeof rawData.id === 'number' ? rawData.id : undefined;
+    const title = typeof rawData.title === 'string' ? rawData.title : undefined;
+    const handle = typeof rawData.handle === 'string' ? rawData.handle : '';
+    const url = typeof rawData.url === 'string' ? rawData.url : undefined;
+
+    const featuredImage =
+      typeof rawData.featured_image === 'string'
+        ? rawData.featured_image
+        : typeof rawData.featured_image === 'object' && rawData.featured_image
+        ? rawData.featured_image.src
+        : undefined;
+
+    const featuredMedia =
+      rawData.featured_media && typeof rawData.featured_media === 'object'
+        ? rawData.featured_media.preview_image?.src || rawData.featured_media.src
+        : undefined;
+
+    /** @type {string[]|undefined} */
+    let images;
+    if (Array.isArray(rawData.images)) {
+      const imageEntries = /** @type {unknown[]} */ (rawData.images);
+      /** @type {string[]} */
+      const normalizedImages = [];
+      imageEntries.forEach((value) => {
+        if (typeof value === 'string') {
+          normalizedImages.push(value);
+        }
+      });
+      images = normalizedImages.length > 0 ? normalizedImages : undefined;
+    } else {
+      images = undefined;
+    }
+
+    /** @type {Record<string, string>} */
+    const variantMedia = {};
+    if (Array.isArray(rawData.media)) {
+      const mediaEntries = /** @type {unknown[]} */ (rawData.media);
+      mediaEntries.forEach((mediaEntry) => {
+        const media = /** @type {any} */ (mediaEntry);
+        if (!media || typeof media !== 'object') {
+          return;
+        }
+
+        const previewSrc =
+          typeof media.preview_image === 'object' && media.preview_image
+            ? media.preview_image.src
+            : typeof media.src === 'string'
+            ? media.src
+            : undefined;
+        if (!previewSrc) {
+          return;
+        }
+
+        /** @type {Array<string|number>} */
+        const possibleVariantIds = [];
+        if (Array.isArray(media.variant_ids)) {
+          const variantIdEntries = /** @type {unknown[]} */ (media.variant_ids);
+          variantIdEntries.forEach((variantId) => {
+            if (variantId === null || variantId === undefined) {
+              return;
+            }
+            if (typeof variantId === 'string' || typeof variantId === 'number') {
+              possibleVariantIds.push(variantId);
+            }
+          });
+        }
+        if (Array.isArray(media.variants)) {
+          const variantEntries = /** @type {unknown[]} */ (media.variants);
+          variantEntries.forEach((variantEntry) => {
+            if (variantEntry && typeof variantEntry === 'object') {
+              const variantObject = /** @type {{ id?: string | number }} */ (variantEntry);
+              if (variantObject.id !== undefined && variantObject.id !== null) {
+                possibleVariantIds.push(variantObject.id);
+              }
+            } else if (
+              variantEntry !== null &&
+              variantEntry !== undefined &&
+              (typeof variantEntry === 'string' || typeof variantEntry === 'number')
+            ) {
+              possibleVariantIds.push(variantEntry);
+            }
+          });
+        }
+
+        possibleVariantIds
+          .map((id) => String(id))
+          .filter((id) => Boolean(id))
+          .forEach((id) => {
+            if (!variantMedia[id]) {
+              variantMedia[id] = previewSrc;
+            }
+          });
+      });
+    }
+
+    /** @type {ProductData} */
+    const normalized = {
+      id,
+      title,
+      handle,
+      url,
+      options,
+      variants,
+      featuredImage,
+      featuredMedia,
+      images,
+      variantMedia: Object.keys(variantMedia).length > 0 ? variantMedia : undefined
+    };
+
+    return normalized;
+  }
+
+  /**
+   * @param {WishlistItem} item
+   * @returns {Promise<ProductData | undefined>}
+   */
+  async fetchProductData(item) {
+    const handle = this.getProductHandle(item);
+    if (!handle) {
+      return undefined;
+    }
+
+    if (this.productCache.has(handle)) {
+      return this.productCache.get(handle);
+    }
+
+    try {
+      const response = await fetch(`/products/${handle}.js`);
+      if (!response.ok) {
+        console.error('Failed to fetch product data for handle', handle, response.status, response.statusText);
+        return undefined;
+      }
+
+      const rawData = await response.json();
+      const normalizedData = this.normalizeProductData(rawData);
+      if (!normalizedData) {
+        return undefined;
+      }
+
+      this.productCache.set(handle, normalizedData);
+      return normalizedData;
+    } catch (error) {
+      console.error('Failed to fetch product data for handle', handle, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {string | undefined} baseUrl
+   * @param {string | number | undefined} variantId
+   * @returns {string}
+   */
+  buildVariantUrl(baseUrl, variantId) {
+    if (!baseUrl) {
+      return '';
+    }
+
+    const cleanBase = baseUrl.split('?')[0];
+    if (!variantId || !cleanBase) {
+      return cleanBase || '';
+    }
+
+    const origin = typeof window !== 'undefined' ? window.location.origin : 'https://example.com';
+    const url = new URL(cleanBase, origin);
+    url.searchParams.set('variant', String(variantId));
+    return url.pathname + url.search;
+  }
+
+  // ===== CORE WISHLIST METHODS =====
+
+  /**
+   * Check if product is in wishlist
+   * @param {string|number} productId - Product ID
+   * @param {string} [listId] - Only look in this list; defaults to any list
+   * @returns {boolean} True if product is in wishlist
+   */
+  contains(productId, listId) {
+    if (!productId) return false;
+    return this.items.some(
+      (item) => String(item.id) === String(productId) && (listId === undefined || item.list_id === listId)
+    );
+  }
+
+  /**
+   * Add product to wishlist
+   * @param {WishlistItem} product
+   * @param {string} [listId] - Target list; defaults to the active list
+   * @param {WishlistChangeOptions} [options]
+   * @returns {boolean}
+   */
+  add(product, listId = this.activeListId, { message } = {}) {
+    const targetListId = this.resolveListId(listId);
+    if (!this.contains(product.id, targetListId)) {
+      this.items.push({
+        id: product.id,
+        title: product.title,
+        image: product.image,
+        url: product.url,
+        price: product.price,
+        price_cents: product.price_cents,
+        variant_id: product.variant_id,
+        available: product.available,
+        handle: product.handle || '',
+        added_at: new Date().toISOString(),
+        list_id: targetListId
+      });
+      
+      this.saveToStorage();
+      showToast(message || this.translations.added);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove product from wishlist
+   * @param {string|number} productId - Product ID
+   * @param {string} [listId] - Only remove from this list; defaults to every list
+   * @param {WishlistChangeOptions} [options]
+   * @returns {boolean} True if item was removed
+   */
+  remove(productId, listId, { message } = {}) {
+    if (!productId) return false;
+    const previousItems = this.items;
+    this.items = this.items.filter(
+      (item) => !(String(item.id) === String(productId) && (listId === undefined || item.list_id === listId))
+    );
+    
+    if (this.items.length !== previousItems.length) {
+      /** @type {{ item: WishlistItem, index: number }[]} */
+      const removedEntries = [];
+      previousItems.forEach((item, index) => {
+        if (!this.items.includes(item)) {
+          removedEntries.push({ item, index });
+        }
+      });
+
+      this.saveToStorage();
+      showToast(message || this.translations.removed, {
+        action: {
+          label: this.translations.undo,
+          onClick: () => this.restoreItems(removedEntries)
+        }
+      });
+      this.wishlistProductData.delete(String(productId));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Put removed items back where they were, skipping any that were saved again in the meantime
+   * @param {{ item: WishlistItem, index: number }[]} removedEntries
+   */
+  restoreItems(removedEntries) {
+    removedEntries.forEach(({ item, index }) => {
+      if (this.contains(item.id, this.resolveListId(item.list_id))) {
+        return;
+      }
+      this.items.splice(Math.min(index, this.items.length), 0, { ...item, list_id: this.resolveListId(item.list_id) });
+    });
+
+    this.saveToStorage();
+    this.renderWishlistPage();
+  }
+
+  /**
+   * Toggle product in wishlist
+   * @param {WishlistItem} product
+   * @returns {boolean}
+   */
+  toggle(product) {
+    if (this.contains(product.id)) {
+      this.remove(product.id);
+      return false;
+    } else {
+      this.add(product);
+      return true;
+    }
+  }
+
+  /**
+   * @param {string} [listId] - Only return items of this list
+   * @returns {WishlistItem[]}
+   */
+  getItems(listId) {
+    if (listId === undefined) {
+      return [...this.items];
+    }
+    return this.items.filter((item) => item.list_id === listId);
+  }
+
+  /**
+   * Items shown on the wishlist page - the active list, or every saved product once
+   * when lists are turned off
+   * @returns {WishlistItem[]}
+   */
+  getVisibleItems() {
+    if (this.listsEnabled) {
+      return this.getItems(this.activeListId);
+    }
+
+    /** @type {Set<string>} */
+    const seen = new Set();
+    return this.items.filter((item) => {
+      const key = String(item.id);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  clear() {
+    this.items = [];
+    this.saveToStorage();
+    this.wishlistProductData.clear();
+    this.renderWishlistPage();
+  }
+
+  // ===== LISTS =====
 
   /**
-   * @typedef {Object} WishlistItem
-   * @property {string|number} id
-   * @property {string} title
-   * @property {string} image
-   * @property {string} url
-   * @property {string} price
-   * @property {string|number} variant_id
-   * @property {boolean} available
-   * @property {string} handle
-   * @property {string} [added_at]
+   * Return the id when the list exists, the first list otherwise
+   * @param {string | null | undefined} listId
+   * @returns {string}
    */
+  resolveListId(listId) {
+    const list = this.lists.find((candidate) => candidate.id === listId) || this.lists[0];
+    return list ? list.id : DEFAULT_LIST_ID;
+  }
 
   /**
-   * @typedef {Object} ProductOption
-   * @property {string} name
-   * @property {number} position
-   * @property {string[]} values
+   * @param {WishlistList} list
+   * @returns {string}
    */
+  getListName(list) {
+    return list.name || this.translations.defaultListName;
+  }
 
   /**
-   * @typedef {Object} ProductVariant
-   * @property {string|number} id
-   * @property {boolean} available
-   * @property {number} price
-   * @property {string[]} options
-   * @property {string|undefined} option1
-   * @property {string|undefined} option2
-   * @property {string|undefined} option3
-   * @property {string|undefined} featuredImage
+   * @param {string} name
+   * @returns {WishlistList | undefined}
    */
+  createList(name) {
+    const trimmedName = name.trim();
+    if (!trimmedName) return undefined;
+
+    /** @type {WishlistList} */
+    const list = {
+      id: `list-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: trimmedName,
+      created_at: new Date().toISOString()
+    };
+    this.lists.push(list);
+    this.saveToStorage();
+    return list;
+  }
 
   /**
-   * @typedef {Object} ProductData
-   * @property {string} handle
-   * @property {string} [url]
-   * @property {ProductOption[]} options
-   * @property {ProductVariant[]} variants
-   * @property {string|undefined} featuredImage
-   * @property {string|undefined} featuredMedia
-   * @property {string[]|undefined} images
-   * @property {Record<string, string>} [variantMedia]
+   * @param {string} listId
+   * @param {string} name
+   * @returns {boolean}
    */
+  renameList(listId, name) {
+    const list = this.lists.find((candidate) => candidate.id === listId);
+    const trimmedName = name.trim();
+    if (!list || !trimmedName || list.name === trimmedName) return false;
+
+    list.name = trimmedName;
+    this.saveToStorage();
+    return true;
+  }
 
-/**
- * @typedef {Object} WishlistGalleryMeta
- * @property {boolean} isVariant
- * @property {boolean} isSelectedVariant
- * @property {string | undefined} [variantId]
- */
+  /**
+   * Delete a list and its items. The last remaining list can't be deleted.
+   * @param {string} listId
+   * @returns {boolean}
+   */
+  deleteList(listId) {
+    if (this.lists.length <= 1 || !this.lists.some((list) => list.id === listId)) return false;
 
-/**
- * @typedef {Object} WishlistProductState
- * @property {ProductData} productData
- * @property {string} baseUrl
- * @property {ProductVariant} selectedVariant
- */
+    this.lists = this.lists.filter((list) => list.id !== listId);
+    this.items = this.items.filter((item) => item.list_id !== listId);
+    if (this.activeListId === listId) {
+      this.setActiveList(this.resolveListId(undefined));
+    }
+    this.saveToStorage();
+    return true;
+  }
 
   /**
-   * @typedef {Object} WishlistRenderResult
-  * @property {WishlistItem} item
-  * @property {ProductData | undefined} productData
-  * @property {ProductVariant | undefined} selectedVariant
-  * @property {string} html
-  * @property {boolean} storageDirty
-   * @property {boolean} shouldInitVariantPicker
-  */
-
-  class SimpleWishlistController {
-    constructor() {
-      this.storageKey = 'shopify-wishlist';
-      /**
-       * @type {WishlistItem[]}
-       */
-      this.items = this.loadFromStorage();
-      
-      // Simple selectors - no complex registry
-      this.selectors = {
-        wishlistButton: '[data-wishlist-button]',
-        wishlistCounterHeader: '[data-wishlist-counter]',
-        wishlistCounterBottom: '[data-wishlist-counter-bottom]',
-        wishlistBubble: '[data-wishlist-bubble]'
-      };
-      
-      this.classes = {
-        hidden: 'is-hidden',
-        visible: 'is-visible',
-        added: 'is-added'
-      };
+   * @param {string} listId
+   */
+  setActiveList(listId) {
+    const resolvedId = this.resolveListId(listId);
+    if (resolvedId === this.activeListId) return;
 
-      /** @type {Map<string, ProductData>} */
-      this.productCache = new Map();
-      /** @type {Map<string, WishlistProductState>} */
-      this.wishlistProductData = new Map();
-      /** @type {WeakMap<HTMLElement, { detach: () => void }>} */
-      this.galleryHoverHandlers = new WeakMap();
-
-      /** @type {{ addToCart: string; soldOut: string }} */
-      this.translations = {
-        addToCart: 'Add to cart',
-        soldOut: 'Sold out'
-      };
+    this.activeListId = resolvedId;
+    localStorage.setItem(this.activeListStorageKey, resolvedId);
+    this.dispatchUpdateEvent();
+  }
+
+  /**
+   * @param {string|number} productId
+   * @param {string} fromListId
+   * @param {string} toListId
+   * @returns {boolean}
+   */
+  moveItem(productId, fromListId, toListId) {
+    const item = this.items.find((candidate) => String(candidate.id) === String(productId) && candidate.list_id === fromListId);
+    if (!item || fromListId === toListId || !this.lists.some((list) => list.id === toListId)) return false;
+
+    if (this.contains(productId, toListId)) {
+      this.items = this.items.filter((candidate) => candidate !== item);
+    } else {
+      item.list_id = toListId;
+    }
+    this.saveToStorage();
+    return true;
+  }
+
+  /**
+   * @param {string|number} productId
+   * @param {string} fromListId
+   * @param {string} toListId
+   * @returns {boolean}
+   */
+  copyItem(productId, fromListId, toListId) {
+    const item = this.items.find((candidate) => String(candidate.id) === String(productId) && candidate.list_id === fromListId);
+    if (!item || this.contains(productId, toListId) || !this.lists.some((list) => list.id === toListId)) return false;
+
+    this.items.push({ ...item, list_id: toListId, added_at: new Date().toISOString() });
+    this.saveToStorage();
+    return true;
+  }
+
+  // ===== EVENT HANDLING =====
 
-      this.variantPickerEnabled = true;
+  setupEventListeners() {
+    document.addEventListener('click', (e) => {
+      if (!e.target) return;
+      const target = /** @type {Element} */ (e.target);
 
-      const wishlistContainer = document.querySelector('.wishlist-container');
-      if (wishlistContainer instanceof HTMLElement) {
-        this.translations.addToCart = wishlistContainer.dataset.wishlistAddText || this.translations.addToCart;
-        this.translations.soldOut = wishlistContainer.dataset.wishlistSoldOutText || this.translations.soldOut;
-        if (wishlistContainer.dataset.enableVariantPicker !== undefined) {
-          this.variantPickerEnabled = wishlistContainer.dataset.enableVariantPicker !== 'false';
+      // Handle remove from wishlist
+      const removeButton = target.closest('.wishlist-remove');
+      if (removeButton) {
+        const htmlRemoveButton = /** @type {HTMLElement} */ (removeButton);
+        const productId = htmlRemoveButton.dataset.productId;
+        if (productId) {
+          this.remove(productId, this.listsEnabled ? this.activeListId : undefined);
+          this.renderWishlistPage();
         }
       }
-      
-      this.handleCartUpdate = this.handleCartUpdate.bind(this);
-      this.handleCartError = this.handleCartError.bind(this);
-      
-      // Make wishlist available globally
-      // @ts-ignore
-      window.wishlist = this;
-      
-      // Single initialization point
-      this.init();
-    }
 
-    init() {
-      console.log('🎯 Simple Wishlist Controller Initialized');
-      console.log('🎯 Items in storage:', this.items.length);
-      
-      this.setupEventListeners();
-      this.updateWishlistButtons();
-      this.updateWishlistCounters(); // Single counter update method
+      const listTab = target.closest('[data-wishlist-list-tab]');
+      if (listTab instanceof HTMLElement && listTab.dataset.wishlistListTab) {
+        this.setActiveList(listTab.dataset.wishlistListTab);
+        this.renderWishlistPage();
+      }
+
+      const deleteListButton = target.closest('[data-wishlist-list-delete]');
+      if (deleteListButton && window.confirm(this.translations.deleteListConfirm)) {
+        this.deleteList(this.activeListId);
+        this.renderWishlistPage();
+      }
+
+      const moveToCartButton = target.closest('[data-wishlist-move-to-cart]');
+      if (moveToCartButton) {
+        this.moveRenderedItemToCart(moveToCartButton);
+      }
+
+      const addAllButton = target.closest('[data-wishlist-add-all], [data-wishlist-shared-add-all]');
+      if (addAllButton instanceof HTMLButtonElement) {
+        this.addRenderedItemsToCart(addAllButton);
+      }
+
+      if (target.closest('[data-wishlist-shared-save]')) {
+        this.saveSharedItems();
+      }
+    });
+
+    document.addEventListener('submit', (event) => {
+      const form = event.target;
+      if (!(form instanceof HTMLFormElement) || !form.closest('[data-wishlist-lists]')) return;
+
+      event.preventDefault();
+      const name = String(new FormData(form).get('name') || '');
+
+      if (form.hasAttribute('data-wishlist-list-create')) {
+        const list = this.createList(name);
+        if (list) {
+          this.setActiveList(list.id);
+        }
+      } else if (form.hasAttribute('data-wishlist-list-rename')) {
+        this.renameList(this.activeListId, name);
+      }
       this.renderWishlistPage();
-      
-      // Watch for counter tampering and fix it
-      this.observeCounterChanges();
-    }
-
-    loadFromStorage() {
-      try {
-        const stored = localStorage.getItem(this.storageKey);
-        const items = stored ? JSON.parse(stored) : [];
-        const normalized = Array.isArray(items)
-          ? items
-              .filter((rawItem) => rawItem && typeof rawItem === 'object')
-              .map((rawItem) => {
-                const item = /** @type {any} */ (rawItem);
-                const availableValue =
-                  item.available === undefined
-                    ? true
-                    : item.available === true || item.available === 'true';
-
-                return /** @type {WishlistItem} */ ({
-                  id: item.id,
-                  title: String(item.title ?? ''),
-                  image: String(item.image ?? ''),
-                  url: String(item.url ?? ''),
-                  price: String(item.price ?? ''),
-                  variant_id: item.variant_id,
-                  available: availableValue,
-                  handle: typeof item.handle === 'string' ? item.handle : '',
-                  added_at: item.added_at,
-                });
-              })
-          : [];
-        console.log('🔍 Loaded', normalized.length, 'items from storage');
-        return normalized;
-      } catch (error) {
-        console.error('Failed to load wishlist from storage:', error);
-        return [];
-      }
-    }
-
-    saveToStorage() {
-      try {
-        localStorage.setItem(this.storageKey, JSON.stringify(this.items));
-        console.log('💾 Saved', this.items.length, 'items to storage');
-        
-        // Update everything after save - single point of truth
-        this.updateWishlistCounters();
-        this.updateWishlistButtons();
+    });
+
+    document.addEventListener('change', (event) => {
+      const select = event.target;
+      if (!(select instanceof HTMLSelectElement) || !select.matches('[data-wishlist-move]')) return;
+
+      const [action, listId] = select.value.split(':');
+      const productId = select.dataset.productId;
+      if (!productId || !listId) return;
+
+      if (action === 'move') {
+        this.moveItem(productId, this.activeListId, listId);
+      } else if (action === 'copy') {
+        this.copyItem(productId, this.activeListId, listId);
+      }
+      this.renderWishlistPage();
+    });
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.handleCartUpdate);
+    document.addEventListener(ThemeEvents.cartError, this.handleCartError);
+    document.addEventListener(ThemeEvents.wishlistSave, this.handleSaveRequest);
+    document.addEventListener(ThemeEvents.cartQueueUpdate, this.handleCartQueueUpdate);
+
+    // Listen for storage events to sync across tabs (from original)
+    // Both storage adapters mirror the list to localStorage, so this works either way
+    window.addEventListener('storage', (event) => {
+      if (event.key === this.storage.storageKey) {
+        this.applyData(this.loadFromStorage());
         this.dispatchUpdateEvent();
-      } catch (error) {
-        console.error('Failed to save wishlist to storage:', error);
+        this.renderWishlistPage();
       }
+    });
+  }
+
+  /**
+   * Handle wishlist button click
+   * @param {HTMLElement} button - Element carrying the product data attributes
+   * @param {HTMLElement} [anchor] - Element the list picker opens next to and returns focus to
+   */
+  handleWishlistButtonClick(button, anchor = button) {
+    const productId = button.dataset.productId;
+    const variantId = button.dataset.variantId;
+    const variantAvailableAttr = button.dataset.variantAvailable;
+    const productHandle = button.dataset.productHandle || '';
+    const priceCents = Number.parseInt(button.dataset.productPriceCents || '', 10);
+
+    if (!productId || !variantId) {
+      console.error('Wishlist button missing product or variant identifiers');
+      return;
     }
 
-    getCount() {
-      return this.items.length;
+    const product = /** @type {WishlistItem} */ ({
+      id: productId,
+      title: button.dataset.productTitle || '',
+      image: button.dataset.productImage || '',
+      url: button.dataset.productUrl || '',
+      price: button.dataset.productPrice || '',
+      price_cents: Number.isNaN(priceCents) ? undefined : priceCents,
+      variant_id: variantId,
+      available: variantAvailableAttr === undefined ? true : variantAvailableAttr === 'true',
+      handle: productHandle
+    });
+
+    if (this.listsEnabled) {
+      this.openListPicker(anchor, product);
+      return;
     }
 
-    /**
-     * Escape HTML entities in a string
-     * @param {unknown} value
-     * @returns {string}
-     */
-    escapeHtml(value) {
-      if (value === undefined || value === null) {
-        return '';
-      }
+    this.toggle(product);
+  }
+
+  /**
+   * Show the popover that lets the customer choose which lists a product is saved to
+   * @param {HTMLElement} button - Wishlist button the popover is anchored to
+   * @param {WishlistItem} product
+   */
+  openListPicker(button, product) {
+    const picker = this.getListPicker();
+    this.listPickerContext = { button, product };
+    this.renderListPicker();
 
-      return String(value)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
+    if (!picker.matches(':popover-open')) {
+      picker.showPopover();
     }
 
-    /**
-     * @param {number | string} cents
-     * @returns {string}
-     */
-    formatMoney(cents) {
-      if (cents === undefined || cents === null || Number.isNaN(Number(cents))) {
-        return '';
-      }
-
-      if (typeof cents === 'string') {
-        const digitsOnly = cents.replace(/[^0-9.-]/g, '');
-        if (digitsOnly !== '') {
-          const parsed = Number(digitsOnly);
-          if (!Number.isNaN(parsed)) {
-            cents = parsed;
-          }
-        }
-      }
+    const rect = button.getBoundingClientRect();
+    const top = Math.min(rect.bottom + 8, window.innerHeight - picker.offsetHeight - 8);
+    const left = Math.min(Math.max(8, rect.right - picker.offsetWidth), window.innerWidth - picker.offsetWidth - 8);
+    picker.style.top = `${Math.max(8, top)}px`;
+    picker.style.left = `${Math.max(8, left)}px`;
 
-      const amount = Number(cents);
-      if (Number.isNaN(amount)) {
-        return typeof cents === 'string' ? cents : '';
-      }
-      try {
-        const shopifyGlobal = /** @type {{ formatMoney?: (value: number, format: string) => string, money_format?: string, currency?: { active?: string }, locale?: string } | undefined} */ ((/** @type {any} */ (window)).Shopify);
-        if (shopifyGlobal && typeof shopifyGlobal.formatMoney === 'function') {
-          const themeSettings = /** @type {{ moneyFormat?: string } | undefined} */ ((/** @type {any} */ (window)).theme);
-          const format = themeSettings?.moneyFormat || shopifyGlobal.money_format || '${{amount}}';
-          return shopifyGlobal.formatMoney(amount, format);
-        }
+    const firstInput = picker.querySelector('input');
+    if (firstInput instanceof HTMLElement) {
+      firstInput.focus();
+    }
+  }
 
-        const currency = shopifyGlobal?.currency?.active || 'USD';
-        const locale = shopifyGlobal?.locale || (typeof navigator !== 'undefined' ? navigator.language : 'en-US');
-        return new Intl.NumberFormat(locale, {
-          style: 'currency',
-          currency,
-          currencyDisplay: 'symbol'
-        }).format(amount / 100);
-      } catch (error) {
-        console.warn('Failed to format money, falling back to plain number:', error);
-        return `$${(amount / 100).toFixed(2)}`;
-      }
+  /**
+   * @returns {HTMLElement}
+   */
+  getListPicker() {
+    if (this.listPicker) {
+      return this.listPicker;
     }
 
-    /**
-     * Safely read a theme setting exposed on window.theme.settings
-     * @template T
-     * @param {string} key
-     * @param {T} defaultValue
-     * @returns {T}
-     */
-    getThemeSetting(key, defaultValue) {
-      try {
-        const windowAny = /** @type {any} */ (window);
-        const themeSettings = /** @type {Record<string, unknown> | undefined} */ (windowAny?.theme?.settings);
-        if (themeSettings && Object.prototype.hasOwnProperty.call(themeSettings, key)) {
-          return /** @type {T} */ (/** @type {any} */ (themeSettings[key]));
-        }
-      } catch (error) {
-        console.warn('Unable to access theme setting', key, error);
+    const picker = document.createElement('div');
+    picker.className = 'wishlist-list-picker';
+    picker.setAttribute('popover', 'auto');
+    picker.setAttribute('role', 'dialog');
+    picker.setAttribute('aria-label', this.translations.saveTo);
+    document.body.appendChild(picker);
+
+    picker.addEventListener('change', (event) => {
+      const checkbox = event.target;
+      const context = this.listPickerContext;
+      if (!(checkbox instanceof HTMLInputElement) || checkbox.type !== 'checkbox' || !context) return;
+
+      if (checkbox.checked) {
+        this.add(context.product, checkbox.value);
+      } else {
+        this.remove(context.product.id, checkbox.value);
       }
-      return defaultValue;
-    }
+      this.renderListPicker();
+      this.renderWishlistPage();
+    });
 
-    /**
-     * @param {string} value
-     * @returns {string}
-     */
-    escapeSelector(value) {
-      if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
-        return CSS.escape(value);
+    picker.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const form = event.target;
+      const context = this.listPickerContext;
+      if (!(form instanceof HTMLFormElement) || !context) return;
+
+      const list = this.createList(String(new FormData(form).get('name') || ''));
+      if (!list) return;
+
+      this.add(context.product, list.id);
+      this.renderListPicker();
+      this.renderWishlistPage();
+    });
+
+    picker.addEventListener('toggle', (event) => {
+      if (/** @type {ToggleEvent} */ (event).newState === 'closed' && !picker.matches(':popover-open')) {
+        this.listPickerContext?.button.focus();
+        this.listPickerContext = undefined;
       }
-      return value.replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+    });
+
+    this.listPicker = picker;
+    return picker;
+  }
+
+  renderListPicker() {
+    const picker = this.listPicker;
+    const context = this.listPickerContext;
+    if (!picker || !context) return;
+
+    const listsHtml = this.lists
+      .map((list) => {
+        const checked = this.contains(context.product.id, list.id) ? ' checked' : '';
+        return `<li><label class="wishlist-list-picker__option"><input type="checkbox" value="${this.escapeHtml(list.id)}"${checked}><span>${this.escapeHtml(this.getListName(list))}</span><span class="wishlist-list-picker__count">${this.getItems(list.id).length}</span></label></li>`;
+      })
+      .join('');
+
+    picker.innerHTML = `
+      <p class="wishlist-list-picker__title">${this.escapeHtml(this.translations.saveTo)}</p>
+      <ul class="wishlist-list-picker__lists" role="list">${listsHtml}</ul>
+      <form class="wishlist-list-picker__create">
+        <input type="text" name="name" maxlength="50" required placeholder="${this.escapeHtml(this.translations.newList)}" aria-label="${this.escapeHtml(this.translations.newList)}">
+        <button type="submit" class="button button-secondary">${this.escapeHtml(this.translations.createList)}</button>
+      </form>
+    `;
+  }
+
+  /**
+   * Handle cart update events triggered from wishlist forms
+   * @param {CustomEvent} event
+   */
+  handleCartUpdate(event) {
+    const rawTarget = event.target;
+    if (!(rawTarget instanceof Element)) {
+      return;
     }
 
-    /**
-     * SINGLE COUNTER UPDATE METHOD - No complex registry
-     * Updates all counters directly and simply
-     */
-    updateWishlistCounters() {
-      const count = this.getCount();
-      console.log(`🔄 Updating all counters to: ${count}`);
-      const hasItems = count > 0;
-
-      /**
-       * @param {Element} counter
-       */
-      const updateHeaderCounter = (counter) => {
-        const element = /** @type {HTMLElement} */ (counter);
-        element.textContent = String(count);
-        element.style.removeProperty('display');
-        element.classList.toggle(this.classes.hidden, !hasItems);
-        element.classList.toggle(this.classes.visible, hasItems);
-
-        if (hasItems) {
-          element.removeAttribute('aria-hidden');
-        } else {
-          element.setAttribute('aria-hidden', 'true');
-        }
-      };
-      
-      // Update header counter
-      const headerCounters = document.querySelectorAll(this.selectors.wishlistCounterHeader);
-      headerCounters.forEach(updateHeaderCounter);
-      
-      // Update bottom counter
-      const bottomCounters = document.querySelectorAll(this.selectors.wishlistCounterBottom);
-      bottomCounters.forEach(counter => {
-        const element = /** @type {HTMLElement} */ (counter);
-        const countSpan = element.querySelector('[aria-hidden="true"]');
-        const srText = element.querySelector('[data-wishlist-counter-bottom-sr]');
-        element.style.removeProperty('display');
-        element.hidden = !hasItems;
-        element.classList.toggle(this.classes.hidden, !hasItems);
-        element.classList.toggle(this.classes.visible, hasItems);
-
-        if (hasItems) {
-          element.removeAttribute('aria-hidden');
-        } else {
-          element.setAttribute('aria-hidden', 'true');
-        }
+    const wishlistItem = rawTarget.closest('.wishlist-item');
+    if (!(wishlistItem instanceof HTMLElement)) {
+      return;
+    }
 
-        if (countSpan) {
-          countSpan.textContent = String(count);
-        }
+    const detail = /** @type {{ data?: { didError?: boolean, productId?: string }, sourceId?: string }} */ (event.detail || {});
+    const isMovingToCart = wishlistItem.dataset.movingToCart === 'true';
+    delete wishlistItem.dataset.movingToCart;
 
-        if (srText) {
-          srText.textContent = `Wishlist items: ${count}`;
-        }
-      });
-      
-      // Update legacy bubble counters
-      const bubbleCounters = document.querySelectorAll(this.selectors.wishlistBubble);
-      bubbleCounters.forEach(counter => {
-        if (hasItems) {
-          counter.classList.remove('visually-hidden');
-          counter.textContent = String(count);
-        } else {
-          counter.textContent = '';
-          counter.classList.add('visually-hidden');
-        }
+    if (detail?.data?.didError) {
+      return;
+    }
+
+    // The item leaves the wishlist only once the cart accepted it
+    const productId = wishlistItem.dataset.productId;
+    if (isMovingToCart && productId) {
+      this.remove(productId, this.listsEnabled ? this.activeListId : undefined, {
+        message: this.translations.movedToCart
       });
-      
-      console.log(`✅ Updated ${headerCounters.length + bottomCounters.length + bubbleCounters.length} counters`);
+      this.renderWishlistPage();
     }
 
-    /**
-     * Watch for counter changes and fix them - from original working code
-     */
-    observeCounterChanges() {
-      const headerCounters = document.querySelectorAll(this.selectors.wishlistCounterHeader);
-
-      headerCounters.forEach(counter => {
-        const observer = new MutationObserver((mutations) => {
-          mutations.forEach((mutation) => {
-            if (mutation.attributeName === 'class') {
-              const count = this.getCount();
-              // If counter has items but is hidden, fix it
-              if (count > 0 && counter.classList.contains(this.classes.hidden)) {
-                console.log('🔧 Counter was hidden incorrectly, fixing...');
-                this.updateWishlistCounters();
-              }
-            }
-          });
-        });
-        
-        observer.observe(counter, {
-          attributes: true,
-          attributeFilter: ['class']
-        });
+    // Cart drawer surfaces the added item, so no additional notification needed.
+  }
+
+  /**
+   * Add a rendered item to the cart with its selected variant, and remove it from the wishlist once it was added
+   * @param {Element} button - The "Move to cart" button of the item
+   */
+  moveRenderedItemToCart(button) {
+    const itemElement = button.closest('.wishlist-item');
+    const form = itemElement?.querySelector('.wishlist-product-form__form');
+    if (!(itemElement instanceof HTMLElement) || !(form instanceof HTMLFormElement)) {
+      return;
+    }
+
+    this.setItemError(itemElement, '');
+    itemElement.dataset.movingToCart = 'true';
+    form.requestSubmit();
+  }
+
+  /**
+   * Keep items in the wishlist when their add to cart was queued while offline. The cart update of the replay
+   * does not come from the item, so the flag would otherwise stay set.
+   * @param {Event} event
+   */
+  handleCartQueueUpdate(event) {
+    if (!(event instanceof CartQueueUpdateEvent)) return;
+
+    /** @type {Set<string>} */
+    const queuedVariantIds = new Set();
+    event.detail.pending.forEach((mutation) => {
+      if (mutation.type !== 'add' || !Array.isArray(mutation.body)) return;
+      mutation.body.forEach(([name, value]) => {
+        if (name === 'id') queuedVariantIds.add(value);
       });
-      
-      console.log('👁️ Counter observers set up for', headerCounters.length, 'elements');
+    });
+
+    document.querySelectorAll('.wishlist-item[data-moving-to-cart]').forEach((itemElement) => {
+      if (!(itemElement instanceof HTMLElement)) return;
+
+      const input = itemElement.querySelector('input[ref="variantId"]');
+      if (input instanceof HTMLInputElement && queuedVariantIds.has(input.value)) {
+        delete itemElement.dataset.movingToCart;
+      }
+    });
+  }
+
+  /**
+   * Save the product of a save request, such as "Save for later" in the cart
+   * @param {Event} event
+   */
+  handleSaveRequest(event) {
+    if (!(event instanceof WishlistSaveEvent)) return;
+
+    this.add(event.detail.product, undefined, event.detail.options);
+  }
+
+  /**
+   * Handle cart error events triggered from wishlist forms
+   * @param {CustomEvent} event
+   */
+  handleCartError(event) {
+    const rawTarget = event.target;
+    if (!(rawTarget instanceof Element)) {
+      return;
     }
 
-    /**
-     * @param {WishlistItem} item
-     * @returns {string | undefined}
-     */
-    getProductHandle(item) {
-      if (item.handle) {
-        return item.handle;
+    const wishlistItem = rawTarget.closest('.wishlist-item');
+    if (!(wishlistItem instanceof HTMLElement)) {
+      return;
+    }
+
+    delete wishlistItem.dataset.movingToCart;
+
+    const detail = /** @type {{ data?: { message?: string } }} */ (event.detail || {});
+    const message = detail?.data?.message || this.translations.moveToCartError;
+
+    showToast(message, { type: 'error' });
+  }
+
+  /**
+   * Snapshot passed to subscribers and `wishlist:update` listeners
+   * @returns {WishlistState}
+   */
+  getState() {
+    return {
+      count: this.getCount(),
+      items: this.getItems(),
+      lists: [...this.lists],
+      activeListId: this.activeListId
+    };
+  }
+
+  dispatchUpdateEvent() {
+    document.dispatchEvent(new WishlistUpdateEvent(this.getState()));
+  }
+
+  /**
+   * @param {WishlistItem} item
+   * @param {Partial<WishlistItem>} updates
+   * @returns {boolean}
+   */
+  updateWishlistItemData(item, updates) {
+    let changed = false;
+    if (updates.id !== undefined && updates.id !== item.id) {
+      item.id = updates.id;
+      changed = true;
+    }
+    if (updates.title !== undefined && updates.title !== item.title) {
+      item.title = updates.title;
+      changed = true;
+    }
+    if (updates.image !== undefined && updates.image !== item.image) {
+      item.image = updates.image;
+      changed = true;
+    }
+    if (updates.url !== undefined && updates.url !== item.url) {
+      item.url = updates.url;
+      changed = true;
+    }
+    if (updates.price !== undefined && updates.price !== item.price) {
+      item.price = updates.price;
+      changed = true;
+    }
+    if (updates.price_cents !== undefined && updates.price_cents !== item.price_cents) {
+      item.price_cents = updates.price_cents;
+      changed = true;
+    }
+    if (updates.variant_id !== undefined && updates.variant_id !== item.variant_id) {
+      item.variant_id = updates.variant_id;
+      changed = true;
+    }
+    if (updates.available !== undefined && updates.available !== item.available) {
+      item.available = updates.available;
+      changed = true;
+    }
+    if (updates.handle !== undefined && updates.handle !== item.handle) {
+      item.handle = updates.handle;
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * @param {ProductVariant} variant
+   * @returns {string[]}
+   */
+  getVariantOptionValues(variant) {
+    if (Array.isArray(variant.options) && variant.options.length > 0) {
+      return variant.options.map(String);
+    }
+
+    const values = [];
+    if (typeof variant.option1 === 'string') {
+      values.push(variant.option1);
+    }
+    if (typeof variant.option2 === 'string') {
+      values.push(variant.option2);
+    }
+    if (typeof variant.option3 === 'string') {
+      values.push(variant.option3);
+    }
+    return values;
+  }
+
+  /**
+   * @param {HTMLElement} itemElement
+   * @param {ProductData} productData
+   * @param {ProductVariant} variant
+   */
+  setSelectValues(itemElement, productData, variant) {
+    const variantValues = this.getVariantOptionValues(variant);
+    (productData.options || []).forEach((_, index) => {
+      const select = itemElement.querySelector(`select[data-option-index="${index}"]`);
+      if (!(select instanceof HTMLSelectElement)) {
+        return;
       }
 
-      try {
-        const url = new URL(item.url, window.location.origin);
-        const segments = url.pathname.split('/').filter(Boolean);
-        const handleIndex = segments.indexOf('products');
-        if (handleIndex !== -1 && segments[handleIndex + 1]) {
-          return segments[handleIndex + 1];
+      select.disabled = false;
+      const desiredValue = variantValues[index] || '';
+      if (desiredValue) {
+        const matchingOption = Array.from(select.options).find((optionEl) => optionEl.value === desiredValue && !optionEl.disabled);
+        if (matchingOption) {
+          select.value = desiredValue;
+          return;
         }
-      } catch (error) {
-        console.warn('Unable to determine product handle from URL', item.url, error);
       }
 
-      return undefined;
+      const fallbackOption = Array.from(select.options).find((optionEl) => optionEl.value && !optionEl.disabled);
+      select.value = fallbackOption ? fallbackOption.value : '';
+    });
+  }
+
+  /**
+   * @param {string|undefined} src
+   * @param {number} [width]
+   * @returns {string}
+   */
+  normalizeImageUrl(src, width = 600) {
+    if (!src || typeof src !== 'string') {
+      return '';
+    }
+    if (typeof window === 'undefined' || !window.location) {
+      return src;
+    }
+    try {
+      const normalizedSrc = src.startsWith('//') ? `${window.location.protocol}${src}` : src;
+      const url = new URL(normalizedSrc, window.location.origin);
+      if (!url.searchParams.has('width')) {
+        url.searchParams.set('width', String(width));
+      }
+      return url.toString();
+    } catch (_error) {
+      return src;
+    }
+  }
+
+  /**
+   * @param {ProductVariant | undefined} variant
+   * @param {ProductData | undefined} productData
+   * @param {string | undefined} fallback
+   * @returns {string}
+   */
+  resolveProductImage(productData, variant, fallback) {
+    const variantId = variant ? String(variant.id) : undefined;
+
+    if (variant && typeof variant.featuredImage === 'string' && variant.featuredImage) {
+      return this.normalizeImageUrl(variant.featuredImage);
+    }
+
+    const variantMediaSrc = variantId && productData?.variantMedia ? productData.variantMedia[variantId] : undefined;
+    if (typeof variantMediaSrc === 'string' && variantMediaSrc) {
+      return this.normalizeImageUrl(variantMediaSrc);
+    }
+
+    if (typeof productData?.featuredMedia === 'string' && productData.featuredMedia) {
+      return this.normalizeImageUrl(productData.featuredMedia);
+    }
+
+    if (typeof productData?.featuredImage === 'string' && productData.featuredImage) {
+      return this.normalizeImageUrl(productData.featuredImage);
     }
 
+    if (Array.isArray(productData?.images)) {
+      const firstImage = productData.images.find((imageSrc) => typeof imageSrc === 'string' && imageSrc);
+      if (firstImage) {
+        return this.normalizeImageUrl(firstImage);
+      }
+    }
+
+    return typeof fallback === 'string' && fallback ? this.normalizeImageUrl(fallback) : '';
+  }
+
+  /**
+   * Build an ordered list of images for the wishlist gallery
+   * @param {ProductData | undefined} productData
+   * @param {ProductVariant | undefined} selectedVariant
+   * @param {string | undefined} fallbackImage
+   * @returns {Array<{ src: string; isVariant: boolean; isSelectedVariant: boolean; variantId?: string }>}
+   */
+  collectWishlistGalleryImages(productData, selectedVariant, fallbackImage) {
+    /** @type {Array<{ src: string; isVariant: boolean; isSelectedVariant: boolean; variantId?: string }>} */
+    const images = [];
+    /** @type {Set<string>} */
+    const seen = new Set();
     /**
-     * @param {any} rawData
-     * @returns {ProductData | undefined}
+     * @param {string | undefined} src
+     * @param {WishlistGalleryMeta} meta
      */
-    normalizeProductData(rawData) {
-      if (!rawData || typeof rawData !== 'object') {
-        return undefined;
+    const pushImage = (src, meta) => {
+      if (typeof src !== 'string' || !src) {
+        return;
+      }
+      const normalized = this.normalizeImageUrl(src, 832);
+      if (!normalized) {
+        return;
+      }
+      const key = normalized.split('?')[0] || normalized;
+      if (seen.has(key)) {
+        return;
       }
+      seen.add(key);
+      images.push(Object.assign({ src: normalized }, meta));
+    };
 
-      /** @type {ProductOption[]} */
-      const options = [];
-      if (Array.isArray(rawData.options)) {
-        for (let index = 0; index < rawData.options.length; index += 1) {
-          const option = /** @type {any} */ (rawData.options[index]);
-          if (option && typeof option === 'object') {
-            const values = Array.isArray(option.values) ? option.values.map(String) : [];
-            options.push({
-              name: typeof option.name === 'string' ? option.name : `Option ${index + 1}`,
-              position: typeof option.position === 'number' ? option.position : index + 1,
-              values
-            });
-          } else {
-            options.push({
-              name: String(option ?? `Option ${index + 1}`),
-              position: index + 1,
-              values: []
-            });
-          }
+    const selectedVariantId = selectedVariant ? String(selectedVariant.id) : undefined;
+    const selectedVariantImage =
+      (selectedVariant && selectedVariant.featuredImage) ||
+      (selectedVariantId && productData?.variantMedia ? productData.variantMedia[selectedVariantId] : undefined);
+
+    if (selectedVariantImage) {
+      pushImage(selectedVariantImage, {
+        isVariant: true,
+        isSelectedVariant: true,
+        variantId: selectedVariantId
+      });
+    }
+
+    if (productData?.variantMedia) {
+      Object.entries(productData.variantMedia).forEach(([variantId, src]) => {
+        const isSelected = selectedVariantId !== undefined && String(variantId) === selectedVariantId;
+        if (isSelected && selectedVariantImage) {
+          return;
         }
-      }
+        pushImage(typeof src === 'string' ? src : undefined, {
+          isVariant: true,
+          isSelectedVariant: isSelected,
+          variantId: String(variantId)
+        });
+      });
+    }
 
-      /** @type {ProductVariant[]} */
-      const variants = [];
-      if (Array.isArray(rawData.variants)) {
-        for (const rawVariant of rawData.variants) {
-          const variant = /** @type {any} */ (rawVariant);
-          if (!variant || typeof variant !== 'object') {
-            continue;
-          }
-
-          const optionsArray = Array.isArray(variant.options) && variant.options.length > 0
-            ? variant.options.map(String)
-            : [variant.option1, variant.option2, variant.option3].filter((value) => typeof value === 'string');
-
-          const featuredImageSrc =
-            typeof variant.featured_image === 'object' && variant.featured_image
-              ? variant.featured_image.src
-              : variant.featured_image;
-
-          variants.push({
-            id: variant.id,
-            available: Boolean(variant.available),
-            price: Number(variant.price),
-            options: optionsArray,
-            option1: typeof variant.option1 === 'string' ? variant.option1 : undefined,
-            option2: typeof variant.option2 === 'string' ? variant.option2 : undefined,
-            option3: typeof variant.option3 === 'string' ? variant.option3 : undefined,
-            featuredImage: typeof featuredImageSrc === 'string' ? featuredImageSrc : undefined
-          });
-        }
-      }
+    if (productData?.featuredMedia) {
+      pushImage(
+        typeof productData.featuredMedia === 'string' ? productData.featuredMedia : undefined,
+        { isVariant: false, isSelectedVariant: false }
+      );
+    }
 
-      const handle = typeof rawData.handle === 'string' ? rawData.handle : '';
-      const url = typeof rawData.url === 'string' ? rawData.url : undefined;
-
-      const featuredImage =
-        typeof rawData.featured_image === 'string'
-          ? rawData.featured_image
-          : typeof rawData.featured_image === 'object' && rawData.featured_image
-          ? rawData.featured_image.src
-          : undefined;
-
-      const featuredMedia =
-        rawData.featured_media && typeof rawData.featured_media === 'object'
-          ? rawData.featured_media.preview_image?.src || rawData.featured_media.src
-          : undefined;
-
-      /** @type {string[]|undefined} */
-      let images;
-      if (Array.isArray(rawData.images)) {
-        const imageEntries = /** @type {unknown[]} */ (rawData.images);
-        /** @type {string[]} */
-        const normalizedImages = [];
-        imageEntries.forEach((value) => {
-          if (typeof value === 'string') {
-            normalizedImages.push(value);
-          }
-        });
-        images = normalizedImages.length > 0 ? normalizedImages : undefined;
-      } else {
-        images = undefined;
-      }
-
-      /** @type {Record<string, string>} */
-      const variantMedia = {};
-      if (Array.isArray(rawData.media)) {
-        const mediaEntries = /** @type {unknown[]} */ (rawData.media);
-        mediaEntries.forEach((mediaEntry) => {
-          const media = /** @type {any} */ (mediaEntry);
-          if (!media || typeof media !== 'object') {
-            return;
-          }
-
-          const previewSrc =
-            typeof media.preview_image === 'object' && media.preview_image
-              ? media.preview_image.src
-              : typeof media.src === 'string'
-              ? media.src
-              : undefined;
-          if (!previewSrc) {
-            return;
-          }
-
-          /** @type {Array<string|number>} */
-          const possibleVariantIds = [];
-          if (Array.isArray(media.variant_ids)) {
-            const variantIdEntries = /** @type {unknown[]} */ (media.variant_ids);
-            variantIdEntries.forEach((variantId) => {
-              if (variantId === null || variantId === undefined) {
-                return;
-              }
-              if (typeof variantId === 'string' || typeof variantId === 'number') {
-                possibleVariantIds.push(variantId);
-              }
-            });
-          }
-          if (Array.isArray(media.variants)) {
-            const variantEntries = /** @type {unknown[]} */ (media.variants);
-            variantEntries.forEach((variantEntry) => {
-              if (variantEntry && typeof variantEntry === 'object') {
-                const variantObject = /** @type {{ id?: string | number }} */ (variantEntry);
-                if (variantObject.id !== undefined && variantObject.id !== null) {
-                  possibleVariantIds.push(variantObject.id);
-                }
-              } else if (
-                variantEntry !== null &&
-                variantEntry !== undefined &&
-                (typeof variantEntry === 'string' || typeof variantEntry === 'number')
-              ) {
-                possibleVariantIds.push(variantEntry);
-              }
-            });
-          }
-
-          possibleVariantIds
-            .map((id) => String(id))
-            .filter((id) => Boolean(id))
-            .forEach((id) => {
-              if (!variantMedia[id]) {
-                variantMedia[id] = previewSrc;
-              }
-            });
-        });
-      }
+    if (productData?.featuredImage) {
+      pushImage(
+        typeof productData.featuredImage === 'string' ? productData.featuredImage : undefined,
+        { isVariant: false, isSelectedVariant: false }
+      );
+    }
 
-      /** @type {ProductData} */
-      const normalized = {
-        handle,
-        url,
-        options,
-        variants,
-        featuredImage,
-        featuredMedia,
-        images,
-        variantMedia: Object.keys(variantMedia).length > 0 ? variantMedia : undefined
-      };
+    if (Array.isArray(productData?.images)) {
+      productData.images.forEach((imageSrc) => {
+        pushImage(typeof imageSrc === 'string' ? imageSrc : undefined, {
+          isVariant: false,
+          isSelectedVariant: false
+        });
+      });
+    }
 
-      return normalized;
+    if (images.length === 0 && fallbackImage) {
+      pushImage(fallbackImage, { isVariant: false, isSelectedVariant: true });
     }
 
-    /**
-     * @param {WishlistItem} item
-     * @returns {Promise<ProductData | undefined>}
-     */
-    async fetchProductData(item) {
-      const handle = this.getProductHandle(item);
-      if (!handle) {
-        return undefined;
-      }
+    return images;
+  }
 
-      if (this.productCache.has(handle)) {
-        return this.productCache.get(handle);
+  /**
+   * Build gallery markup for the wishlist item
+   * @param {ProductData | undefined} productData
+   * @param {ProductVariant | undefined} selectedVariant
+   * @param {{ title?: string; url?: string; fallbackImage?: string }} context
+   * @returns {{ html: string }}
+   */
+  buildWishlistGalleryHtml(productData, selectedVariant, context = {}) {
+    const titleText = this.escapeHtml(context.title || '');
+    const altText = this.escapeHtml(context.title || '');
+    const linkUrl = context.url ? this.escapeHtml(context.url) : '#';
+    const galleryImages = this.collectWishlistGalleryImages(productData, selectedVariant, context.fallbackImage);
+
+    if (galleryImages.length === 0) {
+      const fallbackSrc =
+        typeof context.fallbackImage === 'string' && context.fallbackImage
+          ? this.escapeHtml(this.normalizeImageUrl(context.fallbackImage, 832))
+          : '';
+      if (!fallbackSrc) {
+        return {
+          html: `<a class="wishlist-item-gallery__link" href="${linkUrl}" aria-label="${titleText}"></a>`
+        };
       }
+      return {
+        html: `<a class="wishlist-item-gallery__link" href="${linkUrl}" aria-label="${titleText}"><div class="wishlist-gallery__slides"><div class="wishlist-gallery__slide" data-index="0"><img src="${fallbackSrc}" alt="${altText}" loading="lazy" decoding="async"></div></div></a>`
+      };
+    }
 
-      try {
-        const response = await fetch(`/products/${handle}.js`);
-        if (!response.ok) {
-          console.error('Failed to fetch product data for handle', handle, response.status, response.statusText);
-          return undefined;
-        }
+    const showSecondImageOnHover = this.getThemeSetting('show_second_image_on_hover', false);
+    const maxVisibleSlides = showSecondImageOnHover ? 2 : 1;
 
-        const rawData = await response.json();
-        const normalizedData = this.normalizeProductData(rawData);
-        if (!normalizedData) {
-          return undefined;
+    const visibleImages = galleryImages.slice(0, Math.max(1, maxVisibleSlides));
+
+    const slidesHtml = visibleImages
+      .map((image, index) => {
+        const slideClasses = ['wishlist-gallery__slide'];
+        if (index === 0) {
+          slideClasses.push('wishlist-gallery__slide--primary');
+        } else {
+          slideClasses.push('wishlist-gallery__slide--alternate');
         }
+        const loading = index === 0 ? 'eager' : 'lazy';
+        const src = this.escapeHtml(image.src);
+        const variantIdAttr =
+          image.isVariant && image.variantId !== undefined
+            ? ` data-variant-id="${this.escapeHtml(String(image.variantId))}"`
+            : '';
+        return `<div class="${slideClasses.join(' ')}" data-index="${index}"${variantIdAttr}><img src="${src}" alt="${altText}" loading="${loading}" decoding="async"></div>`;
+      })
+      .join('');
 
-        this.productCache.set(handle, normalizedData);
-        return normalizedData;
-      } catch (error) {
-        console.error('Failed to fetch product data for handle', handle, error);
-        return undefined;
-      }
+    return {
+      html: `<a class="wishlist-item-gallery__link" href="${linkUrl}" aria-label="${titleText}"><div class="wishlist-gallery__slides">${slidesHtml}</div></a>`
+    };
+  }
+
+  /**
+   * Set up hover/focus interactions for a wishlist gallery
+   * @param {HTMLElement} galleryElement
+   */
+  initializeWishlistGallery(galleryElement) {
+    if (!(galleryElement instanceof HTMLElement)) {
+      return;
     }
 
-    /**
-     * @param {string | undefined} baseUrl
-     * @param {string | number | undefined} variantId
-     * @returns {string}
-     */
-    buildVariantUrl(baseUrl, variantId) {
-      if (!baseUrl) {
-        return '';
-      }
+    this.#setGalleryAspectRatio(galleryElement);
 
-      const cleanBase = baseUrl.split('?')[0];
-      if (!variantId || !cleanBase) {
-        return cleanBase || '';
-      }
+    const existing = this.galleryHoverHandlers.get(galleryElement);
+    if (existing) {
+      existing.detach();
+      this.galleryHoverHandlers.delete(galleryElement);
+    }
 
-      const origin = typeof window !== 'undefined' ? window.location.origin : 'https://example.com';
-      const url = new URL(cleanBase, origin);
-      url.searchParams.set('variant', String(variantId));
-      return url.pathname + url.search;
+    const showSecondImageOnHover = this.getThemeSetting('show_second_image_on_hover', false);
+    if (!showSecondImageOnHover) {
+      galleryElement.classList.remove('wishlist-gallery--hover');
+      return;
     }
 
-    // ===== CORE WISHLIST METHODS =====
+    const slides = galleryElement.querySelectorAll('.wishlist-gallery__slide');
+    if (slides.length <= 1) {
+      galleryElement.classList.remove('wishlist-gallery--hover');
+      return;
+    }
 
-    /**
-     * Check if product is in wishlist
-     * @param {string|number} productId - Product ID
-     * @returns {boolean} True if product is in wishlist
-     */
-    contains(productId) {
-      if (!productId) return false;
-      return this.items.some((item) => String(item.id) === String(productId));
+    const link = galleryElement.querySelector('.wishlist-item-gallery__link');
+    if (!(link instanceof HTMLElement)) {
+      return;
     }
 
-    /**
-     * Add product to wishlist
-     * @param {Object} product - Product object
-     * @param {string|number} product.id - Product ID
-     * @param {string} product.title - Product title
-     * @param {string} product.image - Product image URL
-     * @param {string} product.url - Product URL
-     * @param {string} product.price - Product price
-     * @param {string|number} product.variant_id - Variant ID
-     */
-    /**
-     * Add product to wishlist
-     * @param {WishlistItem} product
-     * @returns {boolean}
-     */
-    add(product) {
-      if (!this.contains(product.id)) {
-        this.items.push({
-          id: product.id,
-          title: product.title,
-          image: product.image,
-          url: product.url,
-          price: product.price,
-          variant_id: product.variant_id,
-          available: product.available,
-          handle: product.handle || '',
-          added_at: new Date().toISOString()
-        });
-        
-        this.saveToStorage();
-        this.showNotification('お気に入りに追加しました');
-        return true;
-      }
-      return false;
+    const enter = () => {
+      galleryElement.classList.add('wishlist-gallery--hover');
+    };
+    const leave = () => {
+      galleryElement.classList.remove('wishlist-gallery--hover');
+    };
+
+    link.addEventListener('pointerenter', enter);
+    link.addEventListener('pointerleave', leave);
+    link.addEventListener('focus', enter);
+    link.addEventListener('blur', leave);
+
+    this.galleryHoverHandlers.set(galleryElement, {
+      detach() {
+        link.removeEventListener('pointerenter', enter);
+        link.removeEventListener('pointerleave', leave);
+        link.removeEventListener('focus', enter);
+        link.removeEventListener('blur', leave);
+      }
+    });
+  }
+
+  /**
+   * Apply dynamic aspect ratios for adapt mode galleries.
+   * @param {HTMLElement} galleryElement
+   */
+  #setGalleryAspectRatio(galleryElement) {
+    const container = galleryElement.closest('.wishlist-container');
+    if (!(container instanceof HTMLElement)) {
+      galleryElement.style.removeProperty('--gallery-aspect-ratio');
+      return;
     }
 
-    /**
-     * Remove product from wishlist
-     * @param {string|number} productId - Product ID
-     * @returns {boolean} True if item was removed
-     */
-    remove(productId) {
-      if (!productId) return false;
-      const initialLength = this.items.length;
-      this.items = this.items.filter((item) => String(item.id) !== String(productId));
-      
-      if (this.items.length !== initialLength) {
-        this.saveToStorage();
-        this.showNotification('お気に入りから削除しました');
-        this.wishlistProductData.delete(String(productId));
-        return true;
-      }
-      return false;
+    const ratioSetting = container.dataset.mediaAspectRatio;
+    if (ratioSetting !== 'adapt') {
+      galleryElement.style.removeProperty('--gallery-aspect-ratio');
+      return;
     }
 
-    /**
-     * Toggle product in wishlist
-     * @param {WishlistItem} product
-     * @returns {boolean}
-     */
-    toggle(product) {
-      if (this.contains(product.id)) {
-        this.remove(product.id);
-        return false;
-      } else {
-        this.add(product);
-        return true;
+    const primaryImage =
+      galleryElement.querySelector('.wishlist-gallery__slide--primary img') ||
+      galleryElement.querySelector('.wishlist-gallery__slide img');
+
+    if (!(primaryImage instanceof HTMLImageElement)) {
+      return;
+    }
+
+    const applyRatio = () => {
+      const { naturalWidth, naturalHeight } = primaryImage;
+      if (!naturalWidth || !naturalHeight) {
+        return;
       }
+      galleryElement.style.setProperty('--gallery-aspect-ratio', `${naturalWidth} / ${naturalHeight}`);
+    };
+
+    if (primaryImage.complete && primaryImage.naturalWidth && primaryImage.naturalHeight) {
+      applyRatio();
+    } else {
+      primaryImage.addEventListener('load', applyRatio, { once: true });
     }
+  }
 
-    getItems() {
-      return [...this.items];
+  /**
+   * Regenerate the gallery markup for a wishlist item
+   * @param {HTMLElement} itemElement
+   * @param {ProductData} productData
+   * @param {ProductVariant | undefined} variant
+   * @param {string} variantUrl
+   * @param {string} title
+   * @param {string | undefined} fallbackImage
+   */
+  updateWishlistGallery(itemElement, productData, variant, variantUrl, title, fallbackImage) {
+    const galleryElement = itemElement.querySelector('[data-wishlist-gallery]');
+    if (!(galleryElement instanceof HTMLElement)) {
+      return;
     }
 
-    clear() {
-      this.items = [];
-      this.saveToStorage();
-      this.wishlistProductData.clear();
-      this.renderWishlistPage();
+    const galleryMarkup = this.buildWishlistGalleryHtml(productData, variant, {
+      title,
+      url: variantUrl,
+      fallbackImage
+    });
+
+    galleryElement.innerHTML = galleryMarkup.html;
+    this.initializeWishlistGallery(galleryElement);
+  }
+
+  /**
+   * @param {ProductVariant[]} variants
+   * @param {(string | undefined)[]} selectedValues
+   * @returns {ProductVariant | undefined}
+   */
+  findVariantByOptions(variants, selectedValues) {
+    return variants.find((variant) => {
+      const optionValues = Array.isArray(variant.options)
+        ? variant.options
+        : [variant.option1, variant.option2, variant.option3].filter((value) => typeof value === 'string');
+
+      return selectedValues.every((value, index) => {
+        if (value === undefined) return true;
+        return optionValues[index] === value;
+      });
+    });
+  }
+
+  /**
+   * @param {ProductData} productData
+   * @param {WishlistItem} item
+   * @param {ProductVariant} selectedVariant
+   * @returns {string}
+   */
+  buildVariantPickerHtml(productData, item, selectedVariant) {
+    /** @type {ProductOption[]} */
+    const options = Array.isArray(productData.options) ? productData.options : [];
+    /** @type {ProductVariant[]} */
+    const variants = Array.isArray(productData.variants) ? productData.variants : [];
+    if (!options.length || !variants.length) {
+      return '<p class="wishlist-variant-picker__unavailable">Variant options unavailable.</p>';
     }
 
-    // ===== EVENT HANDLING =====
+    const selectedOptionValues = this.getVariantOptionValues(selectedVariant);
 
-    setupEventListeners() {
-      console.log('🎧 Setting up simplified event listeners');
-      
-      // Handle wishlist button clicks
-      document.addEventListener('click', (e) => {
-        if (!e.target) return;
-        const target = /** @type {Element} */ (e.target);
-        const wishlistButton = target.closest('[data-wishlist-button]');
-        if (wishlistButton) {
-          e.preventDefault();
-          e.stopPropagation();
-          this.handleWishlistButtonClick(/** @type {HTMLElement} */ (wishlistButton));
-        }
+    /** @type {string[]} */
+    const htmlParts = [];
 
-        // Handle remove from wishlist
-        const removeButton = target.closest('.wishlist-remove');
-        if (removeButton) {
-          const htmlRemoveButton = /** @type {HTMLElement} */ (removeButton);
-          const productId = htmlRemoveButton.dataset.productId;
-          if (productId) {
-            this.remove(productId);
-            this.renderWishlistPage();
-          }
-        }
+    options.forEach((option, index) => {
+      const optionName = typeof option === 'object' && option
+        ? option.name
+        : String(option ?? `Option ${index + 1}`);
 
+      /** @type {string[]} */
+      const optionValues = Array.from(
+        new Set(
+          variants
+            .map((variant) => {
+              const variantOptionValues = this.getVariantOptionValues(variant);
+              return variantOptionValues[index];
+            })
+            .filter((value) => typeof value === 'string')
+        )
+      );
+
+      const selectId = `wishlist-select-${String(item.id)}-${index}`;
+      const escapedSelectId = this.escapeHtml(selectId);
+      const escapedLabel = this.escapeHtml(optionName);
+      const placeholderLabel = this.escapeHtml(`-- ${optionName} --`);
+
+      let selectHtml = `<div class="variant-option variant-option--dropdowns" data-wishlist-option-index="${index}">`;
+      selectHtml += '<div class="variant-option__select-wrapper">';
+      selectHtml += `<select id="${escapedSelectId}" class="variant-option__select" data-option-index="${index}" aria-label="${escapedLabel}">`;
+      selectHtml += `<option value="" disabled>${placeholderLabel}</option>`;
+
+      optionValues.forEach((value) => {
+        const escapedValue = this.escapeHtml(value);
+        const isSelected = selectedOptionValues[index] === value;
+        selectHtml += `<option value="${escapedValue}"${isSelected ? ' selected' : ''}>${escapedValue}</option>`;
       });
 
-      // Update button states on page load
-      this.updateWishlistButtons();
-      
-      document.addEventListener('cart:update', this.handleCartUpdate);
-      document.addEventListener('cart:error', this.handleCartError);
-
-      // Listen for storage events to sync across tabs (from original)
-      window.addEventListener('storage', (event) => {
-        if (event.key === this.storageKey) {
-          this.items = this.loadFromStorage();
-          this.updateWishlistButtons();
-          this.updateWishlistCounters();
-          this.renderWishlistPage();
-        }
-      });
+      selectHtml += '</select>';
+      selectHtml += '<svg class="variant-option__select-icon" viewBox="0 0 10 6" aria-hidden="true" focusable="false"><path d="M0 0h10L5 6z" fill="currentColor"></path></svg>';
+      selectHtml += '</div></div>';
+      htmlParts.push(selectHtml);
+    });
+
+    return `<div class="wishlist-variant-dropdowns" data-option-count="${options.length}">${htmlParts.join('')}</div>`;
+  }
+
+  /**
+   * @param {string} templateHtml
+   * @param {WishlistItem} item
+   * @returns {Promise<WishlistRenderResult>}
+   */
+  async prepareWishlistItem(templateHtml, item) {
+    /** @type {WishlistRenderResult} */
+    const result = {
+      item,
+      productData: undefined,
+      selectedVariant: undefined,
+      html: '',
+      storageDirty: false,
+      shouldInitVariantPicker: false,
+      change: undefined
+    };
+
+    const productData = await this.fetchProductData(item);
+    result.productData = productData;
+
+    let selectedVariant;
+    if (productData && Array.isArray(productData.variants) && productData.variants.length > 0) {
+      selectedVariant = productData.variants.find((variant) => String(variant.id) === String(item.variant_id));
+      if (!selectedVariant) {
+        selectedVariant = productData.variants.find((variant) => variant.available) || productData.variants[0];
+      }
+      result.selectedVariant = selectedVariant;
     }
 
-    /**
-     * Handle wishlist button click
-     * @param {HTMLElement} button - Wishlist button element
-     */
-    handleWishlistButtonClick(button) {
-      console.log('🔥 Wishlist button clicked');
-      
-      const productId = button.dataset.productId;
-      const variantId = button.dataset.variantId;
-      const variantAvailableAttr = button.dataset.variantAvailable;
-      const productHandle = button.dataset.productHandle || '';
+    let renderedItem = templateHtml;
 
-      if (!productId || !variantId) {
-        console.error('Wishlist button missing product or variant identifiers');
-        return;
+    const fallbackProductUrl = productData?.url || (productData?.handle ? `/products/${productData.handle}` : '');
+    const itemBaseUrl = item.url ? item.url.split('?')[0] : undefined;
+    const baseUrl = (itemBaseUrl ?? fallbackProductUrl) || '';
+    let variantUrl = selectedVariant ? this.buildVariantUrl(baseUrl, selectedVariant.id) : (item.url || baseUrl);
+    if (!variantUrl) {
+      variantUrl = item.url || baseUrl || '';
+    }
+    const imageUrl = this.resolveProductImage(productData, selectedVariant, item.image);
+    const galleryHref = variantUrl || item.url || baseUrl || '';
+    const galleryMarkup = this.buildWishlistGalleryHtml(productData, selectedVariant, {
+      title: item.title,
+      url: galleryHref,
+      fallbackImage: imageUrl || item.image
+    });
+    const price = selectedVariant ? this.formatMoney(selectedVariant.price) : item.price;
+    const isAvailable = selectedVariant ? Boolean(selectedVariant.available) : item.available !== false;
+
+    const variantPickerEnabled = this.variantPickerEnabled !== false;
+    let variantPickerHtml = '';
+    let shouldInitVariantPicker = false;
+
+    if (productData && selectedVariant) {
+      if (isAvailable) {
+        if (variantPickerEnabled) {
+          variantPickerHtml = this.buildVariantPickerHtml(productData, item, selectedVariant);
+          shouldInitVariantPicker = variantPickerHtml.trim().length > 0;
+        } else {
+          variantPickerHtml = '';
+        }
+      }
+
+      result.change = this.detectItemChange(item, selectedVariant);
+      if (result.change) {
+        this.itemChanges.set(this.getItemChangeKey(item), result.change);
+      }
+
+      const updates = {
+        variant_id: selectedVariant.id,
+        available: selectedVariant.available,
+        price,
+        price_cents: selectedVariant.price,
+        image: imageUrl,
+        url: variantUrl,
+        handle: productData.handle || this.getProductHandle(item)
+      };
+
+      if (this.updateWishlistItemData(item, updates)) {
+        result.storageDirty = true;
       }
 
-      const product = /** @type {WishlistItem} */ ({
-        id: productId,
-        title: button.dataset.productTitle || '',
-        image: button.dataset.productImage || '',
-        url: button.dataset.productUrl || '',
-        price: button.dataset.productPrice || '',
-        variant_id: variantId,
-        available: variantAvailableAttr === undefined ? true : variantAvailableAttr === 'true',
-        handle: productHandle
+      this.wishlistProductData.set(String(item.id), {
+        productData,
+        baseUrl,
+        selectedVariant
       });
+    } else if (!productData) {
+      variantPickerHtml = '';
+      this.wishlistProductData.delete(String(item.id));
+    } else {
+      variantPickerHtml = '';
+      this.wishlistProductData.delete(String(item.id));
+    }
+
+    renderedItem = renderedItem.replace(/\[\[variant_picker\]\]/g, variantPickerEnabled ? variantPickerHtml : '');
+    renderedItem = renderedItem.replace(/\[\[gallery\]\]/g, galleryMarkup.html);
+    renderedItem = renderedItem.replace(/\[\[list_actions\]\]/g, this.buildListActionsHtml(item));
+    renderedItem = renderedItem.replace(/\[\[change_badges\]\]/g, this.buildChangeBadgesHtml(item));
+    result.shouldInitVariantPicker = variantPickerEnabled && shouldInitVariantPicker;
+
+    const safeId = this.escapeHtml(item.id);
+    const safeTitle = this.escapeHtml(item.title);
+    const safeImage = this.escapeHtml(imageUrl || item.image);
+    const safeUrl = this.escapeHtml(galleryHref || '#');
+    const safePrice = this.escapeHtml(price || item.price);
+    const safeVariantId = this.escapeHtml(item.variant_id || '');
+    const availableValue = isAvailable ? 'true' : 'false';
+    const addToCartDisabledAttr = isAvailable ? '' : 'disabled';
+    const addToCartAriaDisabled = isAvailable ? '' : 'aria-disabled="true"';
+    const variantInputDisabledAttr = isAvailable ? '' : 'disabled';
+    const addToCartText = isAvailable ? this.translations.addToCart : this.translations.soldOut;
+    const safeAddToCartText = this.escapeHtml(addToCartText);
+    const addToCartExtraClass = isAvailable ? '' : ' wishlist-add-to-cart--sold-out';
+
+    renderedItem = renderedItem.replace(/\[\[item_key\]\]/g, safeId);
+    renderedItem = renderedItem.replace(/\[\[id\]\]/g, safeId);
+    renderedItem = renderedItem.replace(/\[\[title\]\]/g, safeTitle);
+    renderedItem = renderedItem.replace(/\[\[image\]\]/g, safeImage);
+    renderedItem = renderedItem.replace(/\[\[url\]\]/g, safeUrl);
+    renderedItem = renderedItem.replace(/\[\[price\]\]/g, safePrice);
+    renderedItem = renderedItem.replace(/\[\[variant_id\]\]/g, safeVariantId);
+    renderedItem = renderedItem.replace(/\[\[available\]\]/g, availableValue);
+    renderedItem = renderedItem.replace(/\[\[add_to_cart_disabled_attr\]\]/g, addToCartDisabledAttr);
+    renderedItem = renderedItem.replace(/\[\[add_to_cart_aria_disabled\]\]/g, addToCartAriaDisabled);
+    renderedItem = renderedItem.replace(/\[\[variant_input_disabled_attr\]\]/g, variantInputDisabledAttr);
+    renderedItem = renderedItem.replace(/\[\[add_to_cart_text\]\]/g, safeAddToCartText);
+    renderedItem = renderedItem.replace(/\[\[add_to_cart_extra_class\]\]/g, addToCartExtraClass);
+    renderedItem = renderedItem.replace(/\[\[move_to_cart_text\]\]/g, this.escapeHtml(this.translations.moveToCart));
+
+    result.html = renderedItem;
+    return result;
+  }
 
-      const wasAdded = this.toggle(product);
-      console.log('✅ Wishlist toggle result:', wasAdded ? 'Added' : 'Removed');
-      this.updateWishlistButton(button, wasAdded);
+  /**
+   * @param {HTMLElement} itemElement
+   * @param {WishlistItem} itemRecord
+   * @param {ProductData} productData
+   * @param {ProductVariant} selectedVariant
+   */
+  initializeWishlistVariantPicker(itemElement, itemRecord, productData, selectedVariant) {
+    const optionsContainer = itemElement.querySelector('.wishlist-item-options');
+    if (!optionsContainer) {
+      return;
     }
 
-    /**
-     * Handle cart update events triggered from wishlist forms
-     * @param {CustomEvent} event
-     */
-    handleCartUpdate(event) {
-      const rawTarget = event.target;
-      if (!(rawTarget instanceof Element)) {
+    this.setSelectValues(itemElement, productData, selectedVariant);
+    const normalizedValues = this.updateVariantOptionAvailability(itemElement, productData);
+    const resolvedVariant = this.findVariantByOptions(productData.variants, normalizedValues) || selectedVariant;
+    if (resolvedVariant && resolvedVariant.id !== selectedVariant.id) {
+      this.applyVariantSelection(itemElement, itemRecord, productData, resolvedVariant);
+    }
+
+    /** @param {Event} event */
+    const changeHandler = (event) => {
+      if (!(event.target instanceof HTMLSelectElement)) {
         return;
       }
+      this.handleWishlistVariantSelection(itemElement, itemRecord, productData);
+    };
 
-      const wishlistItem = rawTarget.closest('.wishlist-item');
-      if (!(wishlistItem instanceof HTMLElement)) {
-        return;
+    optionsContainer.addEventListener('change', changeHandler);
+  }
+
+  /**
+   * @param {HTMLElement} itemElement
+   * @param {ProductData} productData
+   * @returns {(string | undefined)[]}
+   */
+  collectSelectedOptionValues(itemElement, productData) {
+    return (productData.options || []).map((_, index) => {
+      const select = itemElement.querySelector(`select[data-option-index="${index}"]`);
+      if (select instanceof HTMLSelectElement) {
+        return select.value || undefined;
       }
+      return undefined;
+    });
+  }
+
+  /**
+   * @param {HTMLElement} itemElement
+   * @param {ProductData} productData
+   * @returns {(string | undefined)[]}
+   */
+  updateVariantOptionAvailability(itemElement, productData) {
+    const normalizedValues = this.collectSelectedOptionValues(itemElement, productData);
 
-      const detail = /** @type {{ data?: { didError?: boolean, productId?: string }, sourceId?: string }} */ (event.detail || {});
-      if (detail?.data?.didError) {
+    (productData.options || []).forEach((_, optionIndex) => {
+      const select = itemElement.querySelector(`select[data-option-index="${optionIndex}"]`);
+      if (!(select instanceof HTMLSelectElement)) {
         return;
       }
 
-      // Cart drawer surfaces the added item, so no additional notification needed.
-    }
+      const options = Array.from(select.options);
+      options.forEach((optionEl) => {
+        if (!optionEl.value) {
+          return;
+        }
+        const testValues = [...normalizedValues];
+        testValues[optionIndex] = optionEl.value;
+        const variant = this.findVariantByOptions(productData.variants, testValues);
+
+        optionEl.disabled = !variant;
+        if (variant) {
+          optionEl.dataset.available = variant.available ? 'true' : 'false';
+          optionEl.dataset.variantId = String(variant.id);
+        } else {
+          optionEl.dataset.available = 'false';
+          optionEl.removeAttribute('data-variant-id');
+        }
+      });
 
-    /**
-     * Handle cart error events triggered from wishlist forms
-     * @param {CustomEvent} event
-     */
-    handleCartError(event) {
-      const rawTarget = event.target;
-      if (!(rawTarget instanceof Element)) {
-        return;
+      const hasSelection = select.value && select.selectedIndex >= 0;
+      const selectedOption = hasSelection ? select.options[select.selectedIndex] : undefined;
+      if (!hasSelection || !selectedOption || selectedOption.disabled) {
+        const fallbackOption = options.find((optionEl) => optionEl.value && !optionEl.disabled);
+        if (fallbackOption) {
+          select.value = fallbackOption.value;
+          normalizedValues[optionIndex] = fallbackOption.value;
+        } else {
+          select.value = '';
+          normalizedValues[optionIndex] = undefined;
+        }
+      } else {
+        normalizedValues[optionIndex] = select.value || undefined;
       }
+    });
+
+    return normalizedValues;
+  }
+
+  /**
+   * @param {HTMLElement} itemElement
+   * @param {WishlistItem} itemRecord
+   * @param {ProductData} productData
+   */
+  handleWishlistVariantSelection(itemElement, itemRecord, productData) {
+    const normalizedValues = this.updateVariantOptionAvailability(itemElement, productData);
+    let variant = this.findVariantByOptions(productData.variants, normalizedValues);
 
-      const wishlistItem = rawTarget.closest('.wishlist-item');
-      if (!(wishlistItem instanceof HTMLElement)) {
+    if (!variant) {
+      variant = productData.variants.find((candidate) => candidate.available) || productData.variants[0];
+      if (!variant) {
+        this.applyVariantUnavailableState(itemElement, itemRecord);
         return;
       }
 
-      const detail = /** @type {{ data?: { message?: string } }} */ (event.detail || {});
-      const message = detail?.data?.message || 'Could not add to cart. Please try again.';
+      this.setSelectValues(itemElement, productData, variant);
+      this.updateVariantOptionAvailability(itemElement, productData);
+    }
+
+    this.applyVariantSelection(itemElement, itemRecord, productData, variant);
+  }
+
+  /**
+   * @param {HTMLElement} itemElement
+   * @param {WishlistItem} itemRecord
+   */
+  applyVariantUnavailableState(itemElement, itemRecord) {
+    const button = itemElement.querySelector('.wishlist-add-to-cart');
+    const variantInput = itemElement.querySelector('input[ref="variantId"]');
+    if (button instanceof HTMLButtonElement) {
+      button.disabled = true;
+      button.classList.add('wishlist-add-to-cart--sold-out');
+      button.setAttribute('aria-disabled', 'true');
+      const textContentEl = button.querySelector('.add-to-cart-text__content');
+      if (textContentEl instanceof HTMLElement) {
+        textContentEl.textContent = this.translations.soldOut;
+      }
+      button.dataset.variantAvailable = 'false';
+      button.dataset.variantId = '';
+    }
+    if (variantInput instanceof HTMLInputElement) {
+      variantInput.value = '';
+      variantInput.disabled = true;
+    }
+    const selects = itemElement.querySelectorAll('.variant-option__select');
+    selects.forEach((select) => {
+      if (select instanceof HTMLSelectElement) {
+        select.disabled = true;
+      }
+    });
+    itemRecord.available = false;
+    itemRecord.variant_id = '';
+    this.saveToStorage();
+  }
 
-      this.showNotification(message, 'error');
+  /**
+   * @param {HTMLElement} itemElement
+   * @param {WishlistItem} itemRecord
+   * @param {ProductData} productData
+   * @param {ProductVariant} variant
+   */
+  applyVariantSelection(itemElement, itemRecord, productData, variant) {
+    const existingState = this.wishlistProductData.get(String(itemRecord.id));
+    const fallbackProductUrl = productData.url || (productData.handle ? `/products/${productData.handle}` : '');
+    const itemBaseUrl = itemRecord.url ? itemRecord.url.split('?')[0] : undefined;
+    const baseUrl = (existingState?.baseUrl ?? itemBaseUrl ?? fallbackProductUrl) || '';
+    let variantUrl = this.buildVariantUrl(baseUrl, variant.id);
+    if (!variantUrl) {
+      variantUrl = itemRecord.url || baseUrl || '';
+    }
+    const price = this.formatMoney(variant.price);
+    const imageUrl = this.resolveProductImage(productData, variant, itemRecord.image);
+    const galleryHref = variantUrl || itemRecord.url || baseUrl || '';
+    const datasetUrl = galleryHref || '#';
+
+    this.setSelectValues(itemElement, productData, variant);
+    this.updateVariantOptionAvailability(itemElement, productData);
+
+    const variantInput = itemElement.querySelector('input[ref="variantId"]');
+    if (variantInput instanceof HTMLInputElement) {
+      variantInput.value = String(variant.id);
+      variantInput.disabled = !variant.available;
     }
 
-    /**
-     * Update wishlist button state
-     * @param {HTMLElement} button - Wishlist button
-     * @param {boolean} isAdded - Whether item is in wishlist
-     */
-    updateWishlistButton(button, isAdded) {
-      if (isAdded) {
-        button.classList.add(this.classes.added);
-        button.setAttribute('aria-label', 'Remove from wishlist');
-        const heartIcon = button.querySelector('.icon-heart');
-        if (heartIcon) {
-          heartIcon.setAttribute('fill', 'currentColor');
+    const button = itemElement.querySelector('.wishlist-add-to-cart');
+    if (button instanceof HTMLButtonElement) {
+      button.dataset.variantId = String(variant.id);
+      button.dataset.productPrice = price;
+      button.dataset.variantAvailable = variant.available ? 'true' : 'false';
+      button.dataset.productUrl = datasetUrl;
+      if (imageUrl) {
+        button.dataset.productImage = imageUrl;
+      }
+      button.disabled = !variant.available;
+      if (variant.available) {
+        button.classList.remove('wishlist-add-to-cart--sold-out');
+        button.removeAttribute('aria-disabled');
+        const textContentEl = button.querySelector('.add-to-cart-text__content');
+        if (textContentEl instanceof HTMLElement) {
+          textContentEl.textContent = this.translations.addToCart;
         }
       } else {
-        button.classList.remove(this.classes.added);
-        button.setAttribute('aria-label', 'Add to wishlist');
-        const heartIcon = button.querySelector('.icon-heart');
-        if (heartIcon) {
-          heartIcon.setAttribute('fill', 'none');
+        button.classList.add('wishlist-add-to-cart--sold-out');
+        button.setAttribute('aria-disabled', 'true');
+        const textContentEl = button.querySelector('.add-to-cart-text__content');
+        if (textContentEl instanceof HTMLElement) {
+          textContentEl.textContent = this.translations.soldOut;
         }
       }
     }
 
-    updateWishlistButtons() {
-      const buttons = document.querySelectorAll(this.selectors.wishlistButton);
-      if (buttons.length > 0) {
-        console.log('🔄 Found', buttons.length, 'wishlist buttons on page');
-      }
-      buttons.forEach(button => {
-        const htmlButton = /** @type {HTMLElement} */ (button);
-        const productId = htmlButton.dataset.productId;
-        if (productId) {
-          const isAdded = this.contains(productId);
-          this.updateWishlistButton(htmlButton, isAdded);
-        }
-      });
-    }
-
-    dispatchUpdateEvent() {
-      document.dispatchEvent(new CustomEvent('wishlist:updated', {
-        detail: {
-          count: this.getCount(),
-          items: this.getItems()
-        }
-      }));
+    const priceElement = itemElement.querySelector('.wishlist-item-price');
+    if (priceElement) {
+      priceElement.textContent = price;
     }
 
-    /**
-     * @param {WishlistItem} item
-     * @param {Partial<WishlistItem>} updates
-     * @returns {boolean}
-     */
-    updateWishlistItemData(item, updates) {
-      let changed = false;
-      if (updates.id !== undefined && updates.id !== item.id) {
-        item.id = updates.id;
-        changed = true;
-      }
-      if (updates.title !== undefined && updates.title !== item.title) {
-        item.title = updates.title;
-        changed = true;
-      }
-      if (updates.image !== undefined && updates.image !== item.image) {
-        item.image = updates.image;
-        changed = true;
-      }
-      if (updates.url !== undefined && updates.url !== item.url) {
-        item.url = updates.url;
-        changed = true;
-      }
-      if (updates.price !== undefined && updates.price !== item.price) {
-        item.price = updates.price;
-        changed = true;
-      }
-      if (updates.variant_id !== undefined && updates.variant_id !== item.variant_id) {
-        item.variant_id = updates.variant_id;
-        changed = true;
-      }
-      if (updates.available !== undefined && updates.available !== item.available) {
-        item.available = updates.available;
-        changed = true;
+    const selects = itemElement.querySelectorAll('.variant-option__select');
+    selects.forEach((select) => {
+      if (select instanceof HTMLSelectElement) {
+        select.disabled = false;
       }
-      if (updates.handle !== undefined && updates.handle !== item.handle) {
-        item.handle = updates.handle;
-        changed = true;
+    });
+
+    this.updateWishlistGallery(itemElement, productData, variant, galleryHref, itemRecord.title, imageUrl || itemRecord.image);
+
+    const linkElements = itemElement.querySelectorAll('.wishlist-item-title a, .wishlist-item-image a, .wishlist-item-gallery__link');
+    linkElements.forEach((link) => {
+      if (link instanceof HTMLAnchorElement) {
+        link.href = datasetUrl;
       }
-      return changed;
+    });
+
+    const dataUpdates = {
+      variant_id: variant.id,
+      available: variant.available,
+      price,
+      price_cents: variant.price,
+      image: imageUrl,
+      url: galleryHref,
+      handle: productData.handle || this.getProductHandle(itemRecord)
+    };
+
+    if (this.updateWishlistItemData(itemRecord, dataUpdates) && !this.isSharedView()) {
+      this.saveToStorage();
     }
 
-    /**
-     * @param {ProductVariant} variant
-     * @returns {string[]}
-     */
-    getVariantOptionValues(variant) {
-      if (Array.isArray(variant.options) && variant.options.length > 0) {
-        return variant.options.map(String);
-      }
+    this.wishlistProductData.set(String(itemRecord.id), {
+      productData,
+      baseUrl,
+      selectedVariant: variant
+    });
+  }
 
-      const values = [];
-      if (typeof variant.option1 === 'string') {
-        values.push(variant.option1);
-      }
-      if (typeof variant.option2 === 'string') {
-        values.push(variant.option2);
-      }
-      if (typeof variant.option3 === 'string') {
-        values.push(variant.option3);
-      }
-      return values;
+  /**
+   * Render the list tabs and the rename/delete/create controls on the wishlist page
+   */
+  renderListManager() {
+    const container = document.querySelector('[data-wishlist-lists]');
+    if (!(container instanceof HTMLElement)) {
+      return;
     }
 
-    /**
-     * @param {HTMLElement} itemElement
-     * @param {ProductData} productData
-     * @param {ProductVariant} variant
-     */
-    setSelectValues(itemElement, productData, variant) {
-      const variantValues = this.getVariantOptionValues(variant);
-      (productData.options || []).forEach((_, index) => {
-        const select = itemElement.querySelector(`select[data-option-index="${index}"]`);
-        if (!(select instanceof HTMLSelectElement)) {
-          return;
-        }
+    if (!this.listsEnabled || this.isSharedView()) {
+      container.hidden = true;
+      return;
+    }
 
-        select.disabled = false;
-        const desiredValue = variantValues[index] || '';
-        if (desiredValue) {
-          const matchingOption = Array.from(select.options).find((optionEl) => optionEl.value === desiredValue && !optionEl.disabled);
-          if (matchingOption) {
-            select.value = desiredValue;
-            return;
-          }
-        }
+    const activeList = this.lists.find((list) => list.id === this.activeListId);
+    const tabsHtml = this.lists
+      .map((list) => {
+        const isActive = list.id === this.activeListId;
+        return `<button type="button" class="wishlist-lists__tab${isActive ? ' is-active' : ''}" data-wishlist-list-tab="${this.escapeHtml(list.id)}" aria-pressed="${isActive}">${this.escapeHtml(this.getListName(list))}<span class="wishlist-lists__count">${this.getItems(list.id).length}</span></button>`;
+      })
+      .join('');
+
+    const deleteDisabledAttr = this.lists.length <= 1 ? ' disabled' : '';
+
+    container.hidden = false;
+    container.innerHTML = `
+      <div class="wishlist-lists__tabs">${tabsHtml}</div>
+      <div class="wishlist-lists__manage">
+        <form class="wishlist-lists__form" data-wishlist-list-rename>
+          <input type="text" name="name" maxlength="50" required value="${this.escapeHtml(activeList ? this.getListName(activeList) : '')}" aria-label="${this.escapeHtml(this.translations.listName)}">
+          <button type="submit" class="button button-secondary">${this.escapeHtml(this.translations.renameList)}</button>
+        </form>
+        <button type="button" class="button button-secondary wishlist-lists__delete" data-wishlist-list-delete${deleteDisabledAttr}>${this.escapeHtml(this.translations.deleteList)}</button>
+        <form class="wishlist-lists__form" data-wishlist-list-create>
+          <input type="text" name="name" maxlength="50" required placeholder="${this.escapeHtml(this.translations.newList)}" aria-label="${this.escapeHtml(this.translations.newList)}">
+          <button type="submit" class="button">${this.escapeHtml(this.translations.createList)}</button>
+        </form>
+      </div>
+    `;
+  }
 
-        const fallbackOption = Array.from(select.options).find((optionEl) => optionEl.value && !optionEl.disabled);
-        select.value = fallbackOption ? fallbackOption.value : '';
-      });
+  /**
+   * Build the move/copy select for an item of the active list
+   * @param {WishlistItem} item
+   * @returns {string}
+   */
+  buildListActionsHtml(item) {
+    const otherLists = this.lists.filter((list) => list.id !== this.activeListId);
+    if (!this.listsEnabled || this.isSharedView() || otherLists.length === 0) {
+      return '';
     }
 
     /**
-     * @param {string|undefined} src
-     * @param {number} [width]
+     * @param {'move' | 'copy'} action
      * @returns {string}
      */
-    normalizeImageUrl(src, width = 600) {
-      if (!src || typeof src !== 'string') {
-        return '';
-      }
-      if (typeof window === 'undefined' || !window.location) {
-        return src;
-      }
-      try {
-        const normalizedSrc = src.startsWith('//') ? `${window.location.protocol}${src}` : src;
-        const url = new URL(normalizedSrc, window.location.origin);
-        if (!url.searchParams.has('width')) {
-          url.searchParams.set('width', String(width));
-        }
-        return url.toString();
-      } catch (_error) {
-        return src;
-      }
+    const buildOptions = (action) =>
+      otherLists
+        .map((list) => {
+          const disabledAttr = action === 'copy' && this.contains(item.id, list.id) ? ' disabled' : '';
+          return `<option value="${action}:${this.escapeHtml(list.id)}"${disabledAttr}>${this.escapeHtml(this.getListName(list))}</option>`;
+        })
+        .join('');
+
+    const label = this.escapeHtml(this.translations.moveOrCopy);
+    return `<div class="wishlist-item-lists"><select class="wishlist-item-lists__select" data-wishlist-move data-product-id="${this.escapeHtml(item.id)}" aria-label="${label}"><option value="">${label}</option><optgroup label="${this.escapeHtml(this.translations.moveTo)}">${buildOptions('move')}</optgroup><optgroup label="${this.escapeHtml(this.translations.copyTo)}">${buildOptions('copy')}</optgroup></select></div>`;
+  }
+
+  /**
+   * @param {WishlistItem} item
+   * @returns {string}
+   */
+  getItemChangeKey(item) {
+    return `${item.list_id || DEFAULT_LIST_ID}:${item.id}`;
+  }
+
+  /**
+   * Compare the stored snapshot of an item with the current data of the same variant
+   * @param {WishlistItem} item
+   * @param {ProductVariant} variant
+   * @returns {WishlistItemChange | undefined}
+   */
+  detectItemChange(item, variant) {
+    if (this.isSharedView() || String(variant.id) !== String(item.variant_id)) {
+      return undefined;
     }
 
-    /**
-     * @param {ProductVariant | undefined} variant
-     * @param {ProductData | undefined} productData
-     * @param {string | undefined} fallback
-     * @returns {string}
-     */
-    resolveProductImage(productData, variant, fallback) {
-      const variantId = variant ? String(variant.id) : undefined;
+    /** @type {WishlistItemChangeType[]} */
+    const types = [];
+    if (typeof item.price_cents === 'number' && variant.price < item.price_cents) {
+      types.push('price_drop');
+    }
+    if (item.available === false && variant.available) {
+      types.push('back_in_stock');
+    }
 
-      if (variant && typeof variant.featuredImage === 'string' && variant.featuredImage) {
-        return this.normalizeImageUrl(variant.featuredImage);
-      }
+    if (types.length === 0) {
+      return undefined;
+    }
+
+    return {
+      item,
+      types,
+      previousPrice: item.price_cents,
+      currentPrice: variant.price
+    };
+  }
+
+  /**
+   * @param {WishlistItem} item
+   * @returns {string}
+   */
+  buildChangeBadgesHtml(item) {
+    const change = this.itemChanges.get(this.getItemChangeKey(item));
+    if (!change || this.isSharedView()) {
+      return '';
+    }
 
-      const variantMediaSrc = variantId && productData?.variantMedia ? productData.variantMedia[variantId] : undefined;
-      if (typeof variantMediaSrc === 'string' && variantMediaSrc) {
-        return this.normalizeImageUrl(variantMediaSrc);
-      }
+    const badges = change.types
+      .map((type) => {
+        const label = type === 'price_drop' ? this.translations.priceDrop : this.translations.backInStock;
+        return `<span class="wishlist-item-badge wishlist-item-badge--${type.replace(/_/g, '-')}">${this.escapeHtml(label)}</span>`;
+      })
+      .join('');
 
-      if (typeof productData?.featuredMedia === 'string' && productData.featuredMedia) {
-        return this.normalizeImageUrl(productData.featuredMedia);
-      }
+    return `<div class="wishlist-item-badges">${badges}</div>`;
+  }
 
-      if (typeof productData?.featuredImage === 'string' && productData.featuredImage) {
-        return this.normalizeImageUrl(productData.featuredImage);
-      }
+  /**
+   * Whether the wishlist page is showing a wishlist shared through a link
+   * @returns {boolean}
+   */
+  isSharedView() {
+    return this.sharedToken !== undefined;
+  }
 
-      if (Array.isArray(productData?.images)) {
-        const firstImage = productData.images.find((imageSrc) => typeof imageSrc === 'string' && imageSrc);
-        if (firstImage) {
-          return this.normalizeImageUrl(firstImage);
-        }
+  /**
+   * Build a link to the wishlist page that carries the visible items
+   * @returns {string} Empty when there is nothing to share
+   */
+  getShareUrl() {
+    /** @type {SharedWishlistEntry[]} */
+    const entries = [];
+    this.getVisibleItems().forEach((item) => {
+      const handle = this.getProductHandle(item);
+      if (handle) {
+        entries.push({ handle, variantId: String(item.variant_id || '') });
       }
+    });
 
-      return typeof fallback === 'string' && fallback ? this.normalizeImageUrl(fallback) : '';
+    if (entries.length === 0) {
+      return '';
     }
 
-    /**
-     * Build an ordered list of images for the wishlist gallery
-     * @param {ProductData | undefined} productData
-     * @param {ProductVariant | undefined} selectedVariant
-     * @param {string | undefined} fallbackImage
-     * @returns {Array<{ src: string; isVariant: boolean; isSelectedVariant: boolean; variantId?: string }>}
-     */
-    collectWishlistGalleryImages(productData, selectedVariant, fallbackImage) {
-      /** @type {Array<{ src: string; isVariant: boolean; isSelectedVariant: boolean; variantId?: string }>} */
-      const images = [];
-      /** @type {Set<string>} */
-      const seen = new Set();
-      /**
-       * @param {string | undefined} src
-       * @param {WishlistGalleryMeta} meta
-       */
-      const pushImage = (src, meta) => {
-        if (typeof src !== 'string' || !src) {
-          return;
-        }
-        const normalized = this.normalizeImageUrl(src, 832);
-        if (!normalized) {
-          return;
-        }
-        const key = normalized.split('?')[0] || normalized;
-        if (seen.has(key)) {
-          return;
-        }
-        seen.add(key);
-        images.push(Object.assign({ src: normalized }, meta));
-      };
-
-      const selectedVariantId = selectedVariant ? String(selectedVariant.id) : undefined;
-      const selectedVariantImage =
-        (selectedVariant && selectedVariant.featuredImage) ||
-        (selectedVariantId && productData?.variantMedia ? productData.variantMedia[selectedVariantId] : undefined);
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set(SHARE_PARAM, encodeShareToken(entries));
+    return url.toString();
+  }
 
-      if (selectedVariantImage) {
-        pushImage(selectedVariantImage, {
-          isVariant: true,
-          isSelectedVariant: true,
-          variantId: selectedVariantId
-        });
-      }
+  /**
+   * Toggle the add-all button, the share dialog and the shared-wishlist banner, and keep the
+   * link, copy button and QR code in the dialog pointing at the current items
+   */
+  renderPageActions() {
+    const banner = document.querySelector('[data-wishlist-shared]');
+    if (banner instanceof HTMLElement) {
+      banner.hidden = !this.isSharedView();
+      const isEmpty = !this.sharedItems || this.sharedItems.length === 0;
+      banner.querySelectorAll('[data-wishlist-shared-add-all], [data-wishlist-shared-save]').forEach((button) => {
+        if (button instanceof HTMLButtonElement) {
+          button.disabled = isEmpty;
+        }
+      });
+    }
 
-      if (productData?.variantMedia) {
-        Object.entries(productData.variantMedia).forEach(([variantId, src]) => {
-          const isSelected = selectedVariantId !== undefined && String(variantId) === selectedVariantId;
-          if (isSelected && selectedVariantImage) {
-            return;
-          }
-          pushImage(typeof src === 'string' ? src : undefined, {
-            isVariant: true,
-            isSelectedVariant: isSelected,
-            variantId: String(variantId)
-          });
-        });
-      }
+    const addAllButton = document.querySelector('[data-wishlist-add-all]');
+    if (addAllButton instanceof HTMLElement) {
+      addAllButton.hidden = this.isSharedView() || !this.getVisibleItems().some((item) => item.available !== false);
+    }
 
-      if (productData?.featuredMedia) {
-        pushImage(
-          typeof productData.featuredMedia === 'string' ? productData.featuredMedia : undefined,
-          { isVariant: false, isSelectedVariant: false }
-        );
-      }
+    const share = document.querySelector('[data-wishlist-share]');
+    if (!(share instanceof HTMLElement)) {
+      return;
+    }
 
-      if (productData?.featuredImage) {
-        pushImage(
-          typeof productData.featuredImage === 'string' ? productData.featuredImage : undefined,
-          { isVariant: false, isSelectedVariant: false }
-        );
-      }
+    const shareUrl = this.isSharedView() ? '' : this.getShareUrl();
+    share.hidden = !shareUrl;
+    if (!shareUrl) {
+      return;
+    }
 
-      if (Array.isArray(productData?.images)) {
-        productData.images.forEach((imageSrc) => {
-          pushImage(typeof imageSrc === 'string' ? imageSrc : undefined, {
-            isVariant: false,
-            isSelectedVariant: false
-          });
-        });
-      }
+    const urlInput = share.querySelector('[data-wishlist-share-url]');
+    if (urlInput instanceof HTMLInputElement) {
+      urlInput.value = shareUrl;
+    }
 
-      if (images.length === 0 && fallbackImage) {
-        pushImage(fallbackImage, { isVariant: false, isSelectedVariant: true });
-      }
+    share.querySelector('copy-to-clipboard-component')?.setAttribute('text-to-copy', shareUrl);
 
-      return images;
+    const qrContainer = share.querySelector('[data-wishlist-share-qr]');
+    if (qrContainer instanceof HTMLElement && qrContainer.dataset.url !== shareUrl) {
+      qrContainer.dataset.url = shareUrl;
+      // qr-code-image draws once when connected, so replace it whenever the link changes
+      qrContainer.innerHTML = `<qr-code-image data-identifier="${this.escapeHtml(shareUrl)}" width="160" height="160" alt="${this.escapeHtml(qrContainer.dataset.alt || '')}"></qr-code-image>`;
     }
+  }
 
-    /**
-     * Build gallery markup for the wishlist item
-     * @param {ProductData | undefined} productData
-     * @param {ProductVariant | undefined} selectedVariant
-     * @param {{ title?: string; url?: string; fallbackImage?: string }} context
-     * @returns {{ html: string }}
-     */
-    buildWishlistGalleryHtml(productData, selectedVariant, context = {}) {
-      const titleText = this.escapeHtml(context.title || '');
-      const altText = this.escapeHtml(context.title || '');
-      const linkUrl = context.url ? this.escapeHtml(context.url) : '#';
-      const galleryImages = this.collectWishlistGalleryImages(productData, selectedVariant, context.fallbackImage);
-
-      if (galleryImages.length === 0) {
-        const fallbackSrc =
-          typeof context.fallbackImage === 'string' && context.fallbackImage
-            ? this.escapeHtml(this.normalizeImageUrl(context.fallbackImage, 832))
-            : '';
-        if (!fallbackSrc) {
-          return {
-            html: `<a class="wishlist-item-gallery__link" href="${linkUrl}" aria-label="${titleText}"></a>`
-          };
+  /**
+   * Resolve the handles in the shared token into wishlist items
+   */
+  async loadSharedItems() {
+    const entries = decodeShareToken(this.sharedToken || '');
+    const items = await Promise.all(
+      entries.map(async (entry) => {
+        const productData = await this.fetchProductData(/** @type {WishlistItem} */ ({ handle: entry.handle, url: '' }));
+        if (!productData || productData.id === undefined) {
+          return undefined;
         }
-        return {
-          html: `<a class="wishlist-item-gallery__link" href="${linkUrl}" aria-label="${titleText}"><div class="wishlist-gallery__slides"><div class="wishlist-gallery__slide" data-index="0"><img src="${fallbackSrc}" alt="${altText}" loading="lazy" decoding="async"></div></div></a>`
+
+        /** @type {WishlistItem} */
+        const item = {
+          id: productData.id,
+          title: productData.title || '',
+          image: productData.featuredImage || '',
+          url: productData.url || `/products/${productData.handle || entry.handle}`,
+          price: '',
+          variant_id: entry.variantId || '',
+          available: true,
+          handle: productData.handle || entry.handle
         };
+        return item;
+      })
+    );
+
+    /** @type {Map<string, WishlistItem>} */
+    const uniqueItems = new Map();
+    items.forEach((item) => {
+      if (item && !uniqueItems.has(String(item.id))) {
+        uniqueItems.set(String(item.id), item);
+      }
+    });
+    this.sharedItems = [...uniqueItems.values()];
+  }
+
+  /**
+   * Copy the shared items into the active list and switch back to the visitor's own wishlist
+   */
+  saveSharedItems() {
+    /** @type {WishlistItem[]} */
+    const sharedItems = this.sharedItems || [];
+    const listId = this.resolveListId(this.activeListId);
+    const addedAt = new Date().toISOString();
+
+    sharedItems.forEach((item) => {
+      if (!this.contains(item.id, listId)) {
+        this.items.push({ ...item, added_at: addedAt, list_id: listId });
       }
+    });
 
-      const showSecondImageOnHover = this.getThemeSetting('show_second_image_on_hover', false);
-      const maxVisibleSlides = showSecondImageOnHover ? 2 : 1;
-
-      const visibleImages = galleryImages.slice(0, Math.max(1, maxVisibleSlides));
-
-      const slidesHtml = visibleImages
-        .map((image, index) => {
-          const slideClasses = ['wishlist-gallery__slide'];
-          if (index === 0) {
-            slideClasses.push('wishlist-gallery__slide--primary');
-          } else {
-            slideClasses.push('wishlist-gallery__slide--alternate');
-          }
-          const loading = index === 0 ? 'eager' : 'lazy';
-          const src = this.escapeHtml(image.src);
-          const variantIdAttr =
-            image.isVariant && image.variantId !== undefined
-              ? ` data-variant-id="${this.escapeHtml(String(image.variantId))}"`
-              : '';
-          return `<div class="${slideClasses.join(' ')}" data-index="${index}"${variantIdAttr}><img src="${src}" alt="${altText}" loading="${loading}" decoding="async"></div>`;
-        })
-        .join('');
+    this.saveToStorage();
 
-      return {
-        html: `<a class="wishlist-item-gallery__link" href="${linkUrl}" aria-label="${titleText}"><div class="wishlist-gallery__slides">${slidesHtml}</div></a>`
-      };
-    }
+    this.sharedToken = undefined;
+    this.sharedItems = undefined;
+    this.sharedItemsRequest = undefined;
 
-    /**
-     * Set up hover/focus interactions for a wishlist gallery
-     * @param {HTMLElement} galleryElement
-     */
-    initializeWishlistGallery(galleryElement) {
-      if (!(galleryElement instanceof HTMLElement)) {
-        return;
-      }
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_PARAM);
+    history.replaceState(history.state, '', url.toString());
 
-      this.#setGalleryAspectRatio(galleryElement);
+    showToast(this.translations.sharedSaved);
+    this.renderWishlistPage();
+  }
 
-      const existing = this.galleryHoverHandlers.get(galleryElement);
-      if (existing) {
-        existing.detach();
-        this.galleryHoverHandlers.delete(galleryElement);
-      }
+  /**
+   * Add every available item rendered on the wishlist page to the cart in a single request,
+   * using the variant currently selected on each card. Variants that are sold out or already at
+   * their quantity limit in the cart are left out before sending, with the reason shown on their
+   * cards. The cart does not say which variant it rejected, so a rejected request is reported once.
+   * @param {HTMLButtonElement} button - Button that triggered the action, used as the event source
+   */
+  async addRenderedItemsToCart(button) {
+    const container = document.getElementById('wishlist-items');
+    if (!container) {
+      return;
+    }
 
-      const showSecondImageOnHover = this.getThemeSetting('show_second_image_on_hover', false);
-      if (!showSecondImageOnHover) {
-        galleryElement.classList.remove('wishlist-gallery--hover');
+    /** @type {{ element: HTMLElement, id: number }[]} */
+    const lines = [];
+    container.querySelectorAll('.wishlist-item').forEach((itemElement) => {
+      if (!(itemElement instanceof HTMLElement)) {
         return;
       }
 
-      const slides = galleryElement.querySelectorAll('.wishlist-gallery__slide');
-      if (slides.length <= 1) {
-        galleryElement.classList.remove('wishlist-gallery--hover');
-        return;
+      this.setItemError(itemElement, '');
+      const input = itemElement.querySelector('input[ref="variantId"]');
+      if (input instanceof HTMLInputElement && !input.disabled && input.value) {
+        lines.push({ element: itemElement, id: Number(input.value) });
       }
+    });
 
-      const link = galleryElement.querySelector('.wishlist-item-gallery__link');
-      if (!(link instanceof HTMLElement)) {
-        return;
-      }
+    if (lines.length === 0) {
+      return;
+    }
 
-      const enter = () => {
-        galleryElement.classList.add('wishlist-gallery--hover');
-      };
-      const leave = () => {
-        galleryElement.classList.remove('wishlist-gallery--hover');
-      };
+    button.disabled = true;
 
-      link.addEventListener('pointerenter', enter);
-      link.addEventListener('pointerleave', leave);
-      link.addEventListener('focus', enter);
-      link.addEventListener('blur', leave);
-
-      this.galleryHoverHandlers.set(galleryElement, {
-        detach() {
-          link.removeEventListener('pointerenter', enter);
-          link.removeEventListener('pointerleave', leave);
-          link.removeEventListener('focus', enter);
-          link.removeEventListener('blur', leave);
-        }
-      });
+    const cartQuantities = await this.fetchCartQuantities();
+    const addableLines = lines.filter(({ element, id }) => {
+      const problem = this.getVariantProblem(element, String(id), cartQuantities);
+      this.setItemError(element, problem);
+      return !problem;
+    });
+
+    if (addableLines.length === 0) {
+      button.disabled = false;
+      showToast(this.translations.addAllError, { type: 'error' });
+      return;
     }
 
-    /**
-     * Apply dynamic aspect ratios for adapt mode galleries.
-     * @param {HTMLElement} galleryElement
-     */
-    #setGalleryAspectRatio(galleryElement) {
-      const container = galleryElement.closest('.wishlist-container');
-      if (!(container instanceof HTMLElement)) {
-        galleryElement.style.removeProperty('--gallery-aspect-ratio');
-        return;
+    /** @type {string[]} */
+    const sectionIds = [];
+    document.querySelectorAll('cart-items-component').forEach((cartItems) => {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) {
+        sectionIds.push(cartItems.dataset.sectionId);
       }
+    });
 
-      const ratioSetting = container.dataset.mediaAspectRatio;
-      if (ratioSetting !== 'adapt') {
-        galleryElement.style.removeProperty('--gallery-aspect-ratio');
+    try {
+      const result = await this.postCartAdd(addableLines, sectionIds);
+
+      if (!result.ok) {
+        // The whole request is rejected, nothing was added
+        showToast(result.message, { type: 'error' });
         return;
       }
 
-      const primaryImage =
-        galleryElement.querySelector('.wishlist-gallery__slide--primary img') ||
-        galleryElement.querySelector('.wishlist-gallery__slide img');
+      // A single event, so the cart drawer opens once and the cart icon counts every added line
+      button.dispatchEvent(
+        new CartAddEvent({}, 'wishlist', {
+          source: 'wishlist',
+          itemCount: addableLines.length,
+          sections: result.sections
+        })
+      );
+    } catch (error) {
+      console.error('Failed to add wishlist items to cart', error);
+      showToast(this.translations.addAllError, { type: 'error' });
+    } finally {
+      button.disabled = false;
+    }
+  }
 
-      if (!(primaryImage instanceof HTMLImageElement)) {
-        return;
-      }
+  /**
+   * Read how many of each variant the cart already holds.
+   * @returns {Promise<Map<string, number>>} Quantities by variant id, empty when the cart could not be read
+   */
+  async fetchCartQuantities() {
+    /** @type {Map<string, number>} */
+    const quantities = new Map();
 
-      const applyRatio = () => {
-        const { naturalWidth, naturalHeight } = primaryImage;
-        if (!naturalWidth || !naturalHeight) {
-          return;
-        }
-        galleryElement.style.setProperty('--gallery-aspect-ratio', `${naturalWidth} / ${naturalHeight}`);
-      };
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      const cart = await response.json();
 
-      if (primaryImage.complete && primaryImage.naturalWidth && primaryImage.naturalHeight) {
-        applyRatio();
-      } else {
-        primaryImage.addEventListener('load', applyRatio, { once: true });
+      for (const item of Array.isArray(cart.items) ? cart.items : []) {
+        const variantId = String(item.variant_id);
+        quantities.set(variantId, (quantities.get(variantId) ?? 0) + Number(item.quantity));
       }
+    } catch (error) {
+      console.error('Failed to read the cart', error);
     }
 
-    /**
-     * Regenerate the gallery markup for a wishlist item
-     * @param {HTMLElement} itemElement
-     * @param {ProductData} productData
-     * @param {ProductVariant | undefined} variant
-     * @param {string} variantUrl
-     * @param {string} title
-     * @param {string | undefined} fallbackImage
-     */
-    updateWishlistGallery(itemElement, productData, variant, variantUrl, title, fallbackImage) {
-      const galleryElement = itemElement.querySelector('[data-wishlist-gallery]');
-      if (!(galleryElement instanceof HTMLElement)) {
-        return;
-      }
-
-      const galleryMarkup = this.buildWishlistGalleryHtml(productData, variant, {
-        title,
-        url: variantUrl,
-        fallbackImage
-      });
+    return quantities;
+  }
 
-      galleryElement.innerHTML = galleryMarkup.html;
-      this.initializeWishlistGallery(galleryElement);
+  /**
+   * Why one more of the variant selected on a card cannot be added to the cart, based on the product data
+   * @param {HTMLElement} itemElement - The card
+   * @param {string} variantId - The selected variant
+   * @param {Map<string, number>} cartQuantities - The quantity of each variant already in the cart
+   * @returns {string} The message to show on the card, empty when the variant can be added
+   */
+  getVariantProblem(itemElement, variantId, cartQuantities) {
+    const state = this.wishlistProductData.get(itemElement.dataset.productId ?? '');
+    const variant = state?.productData.variants.find((candidate) => String(candidate.id) === variantId);
+    if (!variant) {
+      return '';
     }
 
-    /**
-     * @param {ProductVariant[]} variants
-     * @param {(string | undefined)[]} selectedValues
-     * @returns {ProductVariant | undefined}
-     */
-    findVariantByOptions(variants, selectedValues) {
-      return variants.find((variant) => {
-        const optionValues = Array.isArray(variant.options)
-          ? variant.options
-          : [variant.option1, variant.option2, variant.option3].filter((value) => typeof value === 'string');
+    if (!variant.available) {
+      return this.translations.soldOut;
+    }
 
-        return selectedValues.every((value, index) => {
-          if (value === undefined) return true;
-          return optionValues[index] === value;
-        });
-      });
+    const rule = variant.quantityRule;
+    if (!rule) {
+      return '';
     }
 
-    /**
-     * @param {ProductData} productData
-     * @param {WishlistItem} item
-     * @param {ProductVariant} selectedVariant
-     * @returns {string}
-     */
-    buildVariantPickerHtml(productData, item, selectedVariant) {
-      /** @type {ProductOption[]} */
-      const options = Array.isArray(productData.options) ? productData.options : [];
-      /** @type {ProductVariant[]} */
-      const variants = Array.isArray(productData.variants) ? productData.variants : [];
-      if (!options.length || !variants.length) {
-        return '<p class="wishlist-variant-picker__unavailable">Variant options unavailable.</p>';
-      }
+    const quantity = (cartQuantities.get(variantId) ?? 0) + 1;
+    const fitsRule =
+      quantity >= rule.min && (rule.max === null || quantity <= rule.max) && quantity % rule.increment === 0;
 
-      const selectedOptionValues = this.getVariantOptionValues(selectedVariant);
+    return fitsRule ? '' : this.translations.quantityLimit;
+  }
 
-      /** @type {string[]} */
-      const htmlParts = [];
-
-      options.forEach((option, index) => {
-        const optionName = typeof option === 'object' && option
-          ? option.name
-          : String(option ?? `Option ${index + 1}`);
-
-        /** @type {string[]} */
-        const optionValues = Array.from(
-          new Set(
-            variants
-              .map((variant) => {
-                const variantOptionValues = this.getVariantOptionValues(variant);
-                return variantOptionValues[index];
-              })
-              .filter((value) => typeof value === 'string')
-          )
-        );
-
-        const selectId = `wishlist-select-${String(item.id)}-${index}`;
-        const escapedSelectId = this.escapeHtml(selectId);
-        const escapedLabel = this.escapeHtml(optionName);
-        const placeholderLabel = this.escapeHtml(`-- ${optionName} --`);
-
-        let selectHtml = `<div class="variant-option variant-option--dropdowns" data-wishlist-option-index="${index}">`;
-        selectHtml += '<div class="variant-option__select-wrapper">';
-        selectHtml += `<select id="${escapedSelectId}" class="variant-option__select" data-option-index="${index}" aria-label="${escapedLabel}">`;
-        selectHtml += `<option value="" disabled>${placeholderLabel}</option>`;
-
-        optionValues.forEach((value) => {
-          const escapedValue = this.escapeHtml(value);
-          const isSelected = selectedOptionValues[index] === value;
-          selectHtml += `<option value="${escapedValue}"${isSelected ? ' selected' : ''}>${escapedValue}</option>`;
-        });
+  /**
+   * @param {{ id: number }[]} lines - Variants to add, one of each
+   * @param {string[]} sectionIds - Sections to render with the updated cart
+   * @returns {Promise<{ ok: boolean, message: string, sections?: Record<string, string> }>}
+   */
+  async postCartAdd(lines, sectionIds) {
+    const response = await fetch(Theme.routes.cart_add_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        items: lines.map(({ id }) => ({ id, quantity: 1 })),
+        sections: sectionIds.join(',')
+      })
+    });
+    const data = await response.json();
+
+    if (!response.ok || data.status) {
+      return { ok: false, message: data.description || data.message || this.translations.addAllError };
+    }
 
-        selectHtml += '</select>';
-        selectHtml += '<svg class="variant-option__select-icon" viewBox="0 0 10 6" aria-hidden="true" focusable="false"><path d="M0 0h10L5 6z" fill="currentColor"></path></svg>';
-        selectHtml += '</div></div>';
-        htmlParts.push(selectHtml);
-      });
+    return { ok: true, message: '', sections: data.sections };
+  }
 
-      return `<div class="wishlist-variant-dropdowns" data-option-count="${options.length}">${htmlParts.join('')}</div>`;
+  /**
+   * Show or clear the inline error of a wishlist card
+   * @param {HTMLElement} itemElement
+   * @param {string} message - Empty to clear
+   */
+  setItemError(itemElement, message) {
+    const errorElement = itemElement.querySelector('[data-wishlist-item-error]');
+    if (!(errorElement instanceof HTMLElement)) {
+      return;
     }
 
-    /**
-     * @param {string} templateHtml
-     * @param {WishlistItem} item
-     * @returns {Promise<WishlistRenderResult>}
-     */
-    async prepareWishlistItem(templateHtml, item) {
-      /** @type {WishlistRenderResult} */
-      const result = {
-        item,
-        productData: undefined,
-        selectedVariant: undefined,
-        html: '',
-        storageDirty: false,
-        shouldInitVariantPicker: false
-      };
-
-      const productData = await this.fetchProductData(item);
-      result.productData = productData;
+    errorElement.textContent = message;
+    errorElement.hidden = !message;
+  }
 
-      let selectedVariant;
-      if (productData && Array.isArray(productData.variants) && productData.variants.length > 0) {
-        selectedVariant = productData.variants.find((variant) => String(variant.id) === String(item.variant_id));
-        if (!selectedVariant) {
-          selectedVariant = productData.variants.find((variant) => variant.available) || productData.variants[0];
-        }
-        result.selectedVariant = selectedVariant;
+  async renderWishlistPage() {
+    try {
+      const wishlistContainer = document.getElementById('wishlist-items');
+      const emptyContainer = document.getElementById('wishlist-empty');
+      
+      if (!wishlistContainer || !emptyContainer) {
+        return; // Not on wishlist page
       }
 
-      let renderedItem = templateHtml;
+      this.renderListManager();
+      this.renderPageActions();
 
-      const fallbackProductUrl = productData?.url || (productData?.handle ? `/products/${productData.handle}` : '');
-      const itemBaseUrl = item.url ? item.url.split('?')[0] : undefined;
-      const baseUrl = (itemBaseUrl ?? fallbackProductUrl) || '';
-      let variantUrl = selectedVariant ? this.buildVariantUrl(baseUrl, selectedVariant.id) : (item.url || baseUrl);
-      if (!variantUrl) {
-        variantUrl = item.url || baseUrl || '';
+      if (this.isSharedView()) {
+        this.sharedItemsRequest ??= this.loadSharedItems();
+        await this.sharedItemsRequest;
+        this.renderPageActions();
       }
-      const imageUrl = this.resolveProductImage(productData, selectedVariant, item.image);
-      const galleryHref = variantUrl || item.url || baseUrl || '';
-      const galleryMarkup = this.buildWishlistGalleryHtml(productData, selectedVariant, {
-        title: item.title,
-        url: galleryHref,
-        fallbackImage: imageUrl || item.image
-      });
-      const price = selectedVariant ? this.formatMoney(selectedVariant.price) : item.price;
-      const isAvailable = selectedVariant ? Boolean(selectedVariant.available) : item.available !== false;
-
-      const variantPickerEnabled = this.variantPickerEnabled !== false;
-      let variantPickerHtml = '';
-      let shouldInitVariantPicker = false;
-
-      if (productData && selectedVariant) {
-        if (isAvailable) {
-          if (variantPickerEnabled) {
-            variantPickerHtml = this.buildVariantPickerHtml(productData, item, selectedVariant);
-            shouldInitVariantPicker = variantPickerHtml.trim().length > 0;
-          } else {
-            variantPickerHtml = '';
-          }
-        }
-
-        const updates = {
-          variant_id: selectedVariant.id,
-          available: selectedVariant.available,
-          price,
-          image: imageUrl,
-          url: variantUrl,
-          handle: productData.handle || this.getProductHandle(item)
-        };
-
-        if (this.updateWishlistItemData(item, updates)) {
-          result.storageDirty = true;
-        }
 
-        this.wishlistProductData.set(String(item.id), {
-          productData,
-          baseUrl,
-          selectedVariant
-        });
-      } else if (!productData) {
-        variantPickerHtml = '';
-        this.wishlistProductData.delete(String(item.id));
-      } else {
-        variantPickerHtml = '';
-        this.wishlistProductData.delete(String(item.id));
-      }
-
-      renderedItem = renderedItem.replace(/\[\[variant_picker\]\]/g, variantPickerEnabled ? variantPickerHtml : '');
-      renderedItem = renderedItem.replace(/\[\[gallery\]\]/g, galleryMarkup.html);
-      result.shouldInitVariantPicker = variantPickerEnabled && shouldInitVariantPicker;
-
-      const safeId = this.escapeHtml(item.id);
-      const safeTitle = this.escapeHtml(item.title);
-      const safeImage = this.escapeHtml(imageUrl || item.image);
-      const safeUrl = this.escapeHtml(galleryHref || '#');
-      const safePrice = this.escapeHtml(price || item.price);
-      const safeVariantId = this.escapeHtml(item.variant_id || '');
-      const availableValue = isAvailable ? 'true' : 'false';
-      const addToCartDisabledAttr = isAvailable ? '' : 'disabled';
-      const addToCartAriaDisabled = isAvailable ? '' : 'aria-disabled="true"';
-      const variantInputDisabledAttr = isAvailable ? '' : 'disabled';
-      const addToCartText = isAvailable ? this.translations.addToCart : this.translations.soldOut;
-      const safeAddToCartText = this.escapeHtml(addToCartText);
-      const addToCartExtraClass = isAvailable ? '' : ' wishlist-add-to-cart--sold-out';
-
-      renderedItem = renderedItem.replace(/\[\[item_key\]\]/g, safeId);
-      renderedItem = renderedItem.replace(/\[\[id\]\]/g, safeId);
-      renderedItem = renderedItem.replace(/\[\[title\]\]/g, safeTitle);
-      renderedItem = renderedItem.replace(/\[\[image\]\]/g, safeImage);
-      renderedItem = renderedItem.replace(/\[\[url\]\]/g, safeUrl);
-      renderedItem = renderedItem.replace(/\[\[price\]\]/g, safePrice);
-      renderedItem = renderedItem.replace(/\[\[variant_id\]\]/g, safeVariantId);
-      renderedItem = renderedItem.replace(/\[\[available\]\]/g, availableValue);
-      renderedItem = renderedItem.replace(/\[\[add_to_cart_disabled_attr\]\]/g, addToCartDisabledAttr);
-      renderedItem = renderedItem.replace(/\[\[add_to_cart_aria_disabled\]\]/g, addToCartAriaDisabled);
-      renderedItem = renderedItem.replace(/\[\[variant_input_disabled_attr\]\]/g, variantInputDisabledAttr);
-      renderedItem = renderedItem.replace(/\[\[add_to_cart_text\]\]/g, safeAddToCartText);
-      renderedItem = renderedItem.replace(/\[\[add_to_cart_extra_class\]\]/g, addToCartExtraClass);
-
-      result.html = renderedItem;
-      return result;
-    }
+      const items = this.sharedItems ?? this.getVisibleItems();
+      
+      if (items.length === 0) {
+        wishlistContainer.innerHTML = '';
+        emptyContainer.classList.remove(this.classes.hidden);
+        return;
+      }
 
-    /**
-     * @param {HTMLElement} itemElement
-     * @param {WishlistItem} itemRecord
-     * @param {ProductData} productData
-     * @param {ProductVariant} selectedVariant
-     */
-    initializeWishlistVariantPicker(itemElement, itemRecord, productData, selectedVariant) {
-      const optionsContainer = itemElement.querySelector('.wishlist-item-options');
-      if (!optionsContainer) {
+      emptyContainer.classList.add(this.classes.hidden);
+      
+      const template = document.getElementById('wishlist-item-template');
+      if (!template) {
+        console.error('Wishlist item template not found');
         return;
       }
 
-      this.setSelectValues(itemElement, productData, selectedVariant);
-      const normalizedValues = this.updateVariantOptionAvailability(itemElement, productData);
-      const resolvedVariant = this.findVariantByOptions(productData.variants, normalizedValues) || selectedVariant;
-      if (resolvedVariant && resolvedVariant.id !== selectedVariant.id) {
-        this.applyVariantSelection(itemElement, itemRecord, productData, resolvedVariant);
+      const templateHtml = template.innerHTML;
+      /** @type {WishlistRenderResult[]} */
+      const renderResults = await Promise.all(
+        items.map((wishlistItem) => this.prepareWishlistItem(templateHtml, wishlistItem))
+      );
+
+      if (this.sortChangesFirst && !this.sharedItems) {
+        /** @param {WishlistRenderResult} result */
+        const rank = (result) => (this.itemChanges.has(this.getItemChangeKey(result.item)) ? 0 : 1);
+        renderResults.sort((a, b) => rank(a) - rank(b));
       }
 
-      /** @param {Event} event */
-      const changeHandler = (event) => {
-        if (!(event.target instanceof HTMLSelectElement)) {
+      wishlistContainer.innerHTML = renderResults.map((result) => result.html).join('');
+
+      renderResults.forEach((result) => {
+        const selector = `.wishlist-item[data-wishlist-key="${this.escapeSelector(String(result.item.id))}"]`;
+        const itemElement = wishlistContainer.querySelector(selector);
+        if (!(itemElement instanceof HTMLElement)) {
           return;
         }
-        this.handleWishlistVariantSelection(itemElement, itemRecord, productData);
-      };
-
-      optionsContainer.addEventListener('change', changeHandler);
-    }
 
-    /**
-     * @param {HTMLElement} itemElement
-     * @param {ProductData} productData
-     * @returns {(string | undefined)[]}
-     */
-    collectSelectedOptionValues(itemElement, productData) {
-      return (productData.options || []).map((_, index) => {
-        const select = itemElement.querySelector(`select[data-option-index="${index}"]`);
-        if (select instanceof HTMLSelectElement) {
-          return select.value || undefined;
+        const galleryElement = itemElement.querySelector('[data-wishlist-gallery]');
+        if (galleryElement instanceof HTMLElement) {
+          this.initializeWishlistGallery(galleryElement);
         }
-        return undefined;
-      });
-    }
 
-    /**
-     * @param {HTMLElement} itemElement
-     * @param {ProductData} productData
-     * @returns {(string | undefined)[]}
-     */
-    updateVariantOptionAvailability(itemElement, productData) {
-      const normalizedValues = this.collectSelectedOptionValues(itemElement, productData);
+        if (result.productData && result.selectedVariant && result.shouldInitVariantPicker) {
+          this.initializeWishlistVariantPicker(itemElement, result.item, result.productData, result.selectedVariant);
+        }
 
-      (productData.options || []).forEach((_, optionIndex) => {
-        const select = itemElement.querySelector(`select[data-option-index="${optionIndex}"]`);
-        if (!(select instanceof HTMLSelectElement)) {
-          return;
+        if (this.sharedItems) {
+          itemElement.querySelector('.wishlist-remove')?.remove();
+          itemElement.querySelector('[data-wishlist-move-to-cart]')?.remove();
         }
+      });
 
-        const options = Array.from(select.options);
-        options.forEach((optionEl) => {
-          if (!optionEl.value) {
-            return;
-          }
-          const testValues = [...normalizedValues];
-          testValues[optionIndex] = optionEl.value;
-          const variant = this.findVariantByOptions(productData.variants, testValues);
-
-          optionEl.disabled = !variant;
-          if (variant) {
-            optionEl.dataset.available = variant.available ? 'true' : 'false';
-            optionEl.dataset.variantId = String(variant.id);
-          } else {
-            optionEl.dataset.available = 'false';
-            optionEl.removeAttribute('data-variant-id');
-          }
-        });
+      if (!this.sharedItems && renderResults.some((result) => result.storageDirty)) {
+        this.saveToStorage();
+      }
 
-        const hasSelection = select.value && select.selectedIndex >= 0;
-        const selectedOption = hasSelection ? select.options[select.selectedIndex] : undefined;
-        if (!hasSelection || !selectedOption || selectedOption.disabled) {
-          const fallbackOption = options.find((optionEl) => optionEl.value && !optionEl.disabled);
-          if (fallbackOption) {
-            select.value = fallbackOption.value;
-            normalizedValues[optionIndex] = fallbackOption.value;
-          } else {
-            select.value = '';
-            normalizedValues[optionIndex] = undefined;
-          }
-        } else {
-          normalizedValues[optionIndex] = select.value || undefined;
+      renderResults.forEach((result) => {
+        if (result.change) {
+          document.dispatchEvent(new WishlistItemChangeEvent(result.change));
         }
       });
-
-      return normalizedValues;
+    } catch (error) {
+      console.error('Failed to render wishlist page', error);
     }
+  }
+}
 
-    /**
-     * @param {HTMLElement} itemElement
-     * @param {WishlistItem} itemRecord
-     * @param {ProductData} productData
-     */
-    handleWishlistVariantSelection(itemElement, itemRecord, productData) {
-      const normalizedValues = this.updateVariantOptionAvailability(itemElement, productData);
-      let variant = this.findVariantByOptions(productData.variants, normalizedValues);
+const wishlist = new WishlistController();
 
-      if (!variant) {
-        variant = productData.variants.find((candidate) => candidate.available) || productData.variants[0];
-        if (!variant) {
-          this.applyVariantUnavailableState(itemElement, itemRecord);
-          return;
-        }
+/**
+ * Save a product to the wishlist
+ * @param {WishlistItem} product
+ * @param {string} [listId] - Defaults to the active list
+ * @param {WishlistChangeOptions} [options]
+ * @returns {boolean} Whether the product was added
+ */
+export function add(product, listId, options) {
+  return wishlist.add(product, listId, options);
+}
 
-        this.setSelectValues(itemElement, productData, variant);
-        this.updateVariantOptionAvailability(itemElement, productData);
-      }
+/**
+ * Remove a product from the wishlist
+ * @param {string | number} productId
+ * @param {string} [listId] - Only remove it from this list; defaults to every list
+ * @param {WishlistChangeOptions} [options]
+ * @returns {boolean} Whether anything was removed
+ */
+export function remove(productId, listId, options) {
+  return wishlist.remove(productId, listId, options);
+}
 
-      this.applyVariantSelection(itemElement, itemRecord, productData, variant);
-    }
+/**
+ * Save the product, or remove it when it is already saved
+ * @param {WishlistItem} product
+ * @returns {boolean} Whether the product is saved afterwards
+ */
+export function toggle(product) {
+  return wishlist.toggle(product);
+}
 
-    /**
-     * @param {HTMLElement} itemElement
-     * @param {WishlistItem} itemRecord
-     */
-    applyVariantUnavailableState(itemElement, itemRecord) {
-      const button = itemElement.querySelector('.wishlist-add-to-cart');
-      const variantInput = itemElement.querySelector('input[ref="variantId"]');
-      if (button instanceof HTMLButtonElement) {
-        button.disabled = true;
-        button.classList.add('wishlist-add-to-cart--sold-out');
-        button.setAttribute('aria-disabled', 'true');
-        const textContentEl = button.querySelector('.add-to-cart-text__content');
-        if (textContentEl instanceof HTMLElement) {
-          textContentEl.textContent = this.translations.soldOut;
-        }
-        button.dataset.variantAvailable = 'false';
-        button.dataset.variantId = '';
-      }
-      if (variantInput instanceof HTMLInputElement) {
-        variantInput.value = '';
-        variantInput.disabled = true;
-      }
-      const selects = itemElement.querySelectorAll('.variant-option__select');
-      selects.forEach((select) => {
-        if (select instanceof HTMLSelectElement) {
-          select.disabled = true;
-        }
-      });
-      itemRecord.available = false;
-      itemRecord.variant_id = '';
-      this.saveToStorage();
-    }
+/**
+ * @param {string | number | undefined} productId
+ * @param {string} [listId] - Only look in this list
+ * @returns {boolean}
+ */
+export function contains(productId, listId) {
+  return productId !== undefined && wishlist.contains(productId, listId);
+}
 
-    /**
-     * @param {HTMLElement} itemElement
-     * @param {WishlistItem} itemRecord
-     * @param {ProductData} productData
-     * @param {ProductVariant} variant
-     */
-    applyVariantSelection(itemElement, itemRecord, productData, variant) {
-      const existingState = this.wishlistProductData.get(String(itemRecord.id));
-      const fallbackProductUrl = productData.url || (productData.handle ? `/products/${productData.handle}` : '');
-      const itemBaseUrl = itemRecord.url ? itemRecord.url.split('?')[0] : undefined;
-      const baseUrl = (existingState?.baseUrl ?? itemBaseUrl ?? fallbackProductUrl) || '';
-      let variantUrl = this.buildVariantUrl(baseUrl, variant.id);
-      if (!variantUrl) {
-        variantUrl = itemRecord.url || baseUrl || '';
-      }
-      const price = this.formatMoney(variant.price);
-      const imageUrl = this.resolveProductImage(productData, variant, itemRecord.image);
-      const galleryHref = variantUrl || itemRecord.url || baseUrl || '';
-      const datasetUrl = galleryHref || '#';
+/**
+ * Call back with the current wishlist state right away and after every change
+ * @param {(state: WishlistState) => void} callback
+ * @returns {() => void} Stops the subscription
+ */
+export function subscribe(callback) {
+  /** @param {Event} event */
+  const handleUpdate = (event) => {
+    if (event instanceof WishlistUpdateEvent) callback(event.detail);
+  };
 
-      this.setSelectValues(itemElement, productData, variant);
-      this.updateVariantOptionAvailability(itemElement, productData);
+  document.addEventListener(ThemeEvents.wishlistUpdate, handleUpdate);
+  callback(wishlist.getState());
 
-      const variantInput = itemElement.querySelector('input[ref="variantId"]');
-      if (variantInput instanceof HTMLInputElement) {
-        variantInput.value = String(variant.id);
-        variantInput.disabled = !variant.available;
-      }
+  return () => document.removeEventListener(ThemeEvents.wishlistUpdate, handleUpdate);
+}
 
-      const button = itemElement.querySelector('.wishlist-add-to-cart');
-      if (button instanceof HTMLButtonElement) {
-        button.dataset.variantId = String(variant.id);
-        button.dataset.productPrice = price;
-        button.dataset.variantAvailable = variant.available ? 'true' : 'false';
-        button.dataset.productUrl = datasetUrl;
-        if (imageUrl) {
-          button.dataset.productImage = imageUrl;
-        }
-        button.disabled = !variant.available;
-        if (variant.available) {
-          button.classList.remove('wishlist-add-to-cart--sold-out');
-          button.removeAttribute('aria-disabled');
-          const textContentEl = button.querySelector('.add-to-cart-text__content');
-          if (textContentEl instanceof HTMLElement) {
-            textContentEl.textContent = this.translations.addToCart;
-          }
-        } else {
-          button.classList.add('wishlist-add-to-cart--sold-out');
-          button.setAttribute('aria-disabled', 'true');
-          const textContentEl = button.querySelector('.add-to-cart-text__content');
-          if (textContentEl instanceof HTMLElement) {
-            textContentEl.textContent = this.translations.soldOut;
-          }
-        }
-      }
+/**
+ * A heart button that saves a product to the wishlist. The product is described by the
+ * `data-product-*` and `data-variant-*` attributes on this element.
+ *
+ * @typedef {object} WishlistButtonRefs
+ * @property {HTMLButtonElement} button - The toggle button.
+ *
+ * @extends Component<WishlistButtonRefs>
+ */
+class WishlistButtonComponent extends Component {
+  requiredRefs = ['button'];
 
-      const priceElement = itemElement.querySelector('.wishlist-item-price');
-      if (priceElement) {
-        priceElement.textContent = price;
-      }
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
 
-      const selects = itemElement.querySelectorAll('.variant-option__select');
-      selects.forEach((select) => {
-        if (select instanceof HTMLSelectElement) {
-          select.disabled = false;
-        }
-      });
+  connectedCallback() {
+    super.connectedCallback();
+    // Subscribing renders right away, so markup swapped in by morphSection shows the saved state too
+    this.#unsubscribe = subscribe(() => this.#render());
+  }
 
-      this.updateWishlistGallery(itemElement, productData, variant, galleryHref, itemRecord.title, imageUrl || itemRecord.image);
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#unsubscribe?.();
+  }
 
-      const linkElements = itemElement.querySelectorAll('.wishlist-item-title a, .wishlist-item-image a, .wishlist-item-gallery__link');
-      linkElements.forEach((link) => {
-        if (link instanceof HTMLAnchorElement) {
-          link.href = datasetUrl;
-        }
-      });
+  /**
+   * @param {MouseEvent} event
+   */
+  toggleWishlist(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    wishlist.handleWishlistButtonClick(this, this.refs.button);
+  }
 
-      const dataUpdates = {
-        variant_id: variant.id,
-        available: variant.available,
-        price,
-        image: imageUrl,
-        url: galleryHref,
-        handle: productData.handle || this.getProductHandle(itemRecord)
-      };
+  #render() {
+    const { button } = this.refs;
+    const isAdded = contains(this.dataset.productId);
 
-      if (this.updateWishlistItemData(itemRecord, dataUpdates)) {
-        this.saveToStorage();
-      }
+    button.classList.toggle('is-added', isAdded);
+    button.setAttribute('aria-label', isAdded ? 'Remove from wishlist' : 'Add to wishlist');
+    button.querySelector('.icon-heart')?.setAttribute('fill', isAdded ? 'currentColor' : 'none');
+  }
+}
 
-      this.wishlistProductData.set(String(itemRecord.id), {
-        productData,
-        baseUrl,
-        selectedVariant: variant
-      });
-    }
+if (!customElements.get('wishlist-button-component')) {
+  customElements.define('wishlist-button-component', WishlistButtonComponent);
+}
 
-    /**
-     * Show notification message - simplified from original
-     * @param {string} message - Notification message
-     * @param {string} type - Notification type ('success' or 'error')
-     */
-    showNotification(message, type = 'success') {
-      console.log('📢 Showing notification:', message, type);
-      
-      // Remove existing notification
-      const existing = document.querySelector('.wishlist-notification');
-      if (existing) {
-        existing.remove();
-      }
-
-      // Create notification
-      const notification = document.createElement('div');
-      notification.className = `wishlist-notification wishlist-notification--${type}`;
-      notification.innerHTML = `
-        <div class="wishlist-notification-content">
-          <p>${message}</p>
-          <button class="wishlist-notification__close" aria-label="Close notification">×</button>
-        </div>
-      `;
-
-      document.body.appendChild(notification);
-
-      // Show notification
-      setTimeout(() => {
-        notification.classList.add('is-active');
-      }, 50);
-
-      // Auto hide after 3 seconds (like original)
-      setTimeout(() => {
-        notification.classList.remove('is-active');
-        setTimeout(() => {
-          if (notification.parentNode) {
-            notification.remove();
-          }
-        }, 300);
-      }, 3000);
-
-      // Handle close button
-      const closeButton = notification.querySelector('.wishlist-notification__close');
-      if (closeButton) {
-        closeButton.addEventListener('click', () => {
-          notification.classList.remove('is-active');
-          setTimeout(() => {
-            if (notification.parentNode) {
-              notification.remove();
-            }
-          }, 300);
-        });
-      }
-    }
+/**
+ * A wishlist counter for header and bottom menu icons. It hides itself while the wishlist is empty.
+ *
+ * @typedef {object} WishlistCountRefs
+ * @property {HTMLElement} [count] - Shows the number. Defaults to the component itself.
+ * @property {HTMLElement} [label] - Screen reader text built from its `data-template`, where `[count]` is replaced.
+ *
+ * @extends Component<WishlistCountRefs>
+ */
+class WishlistCountComponent extends Component {
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
 
-    async renderWishlistPage() {
-      try {
-        const wishlistContainer = document.getElementById('wishlist-items');
-        const emptyContainer = document.getElementById('wishlist-empty');
-        
-        if (!wishlistContainer || !emptyContainer) {
-          return; // Not on wishlist page
-        }
+  connectedCallback() {
+    super.connectedCallback();
+    this.#unsubscribe = subscribe(({ count }) => this.#render(count));
+  }
 
-        const items = this.getItems();
-        
-        if (items.length === 0) {
-          wishlistContainer.innerHTML = '';
-          emptyContainer.classList.remove(this.classes.hidden);
-          return;
-        }
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#unsubscribe?.();
+  }
 
-        emptyContainer.classList.add(this.classes.hidden);
-        
-        const template = document.getElementById('wishlist-item-template');
-        if (!template) {
-          console.error('Wishlist item template not found');
-          return;
-        }
+  /**
+   * @param {number} count
+   */
+  #render(count) {
+    const hasItems = count > 0;
+    const { count: countElement, label } = this.refs;
+
+    this.classList.toggle('is-hidden', !hasItems);
+    this.classList.toggle('is-visible', hasItems);
+    if (hasItems) {
+      this.removeAttribute('aria-hidden');
+    } else {
+      this.setAttribute('aria-hidden', 'true');
+    }
 
-        const templateHtml = template.innerHTML;
-        /** @type {WishlistRenderResult[]} */
-        const renderResults = await Promise.all(
-          items.map((wishlistItem) => this.prepareWishlistItem(templateHtml, wishlistItem))
-        );
-
-        wishlistContainer.innerHTML = renderResults.map((result) => result.html).join('');
-
-        renderResults.forEach((result) => {
-          const selector = `.wishlist-item[data-wishlist-key="${this.escapeSelector(String(result.item.id))}"]`;
-          const itemElement = wishlistContainer.querySelector(selector);
-          if (!(itemElement instanceof HTMLElement)) {
-            return;
-          }
-
-          const galleryElement = itemElement.querySelector('[data-wishlist-gallery]');
-          if (galleryElement instanceof HTMLElement) {
-            this.initializeWishlistGallery(galleryElement);
-          }
-
-          if (result.productData && result.selectedVariant && result.shouldInitVariantPicker) {
-            this.initializeWishlistVariantPicker(itemElement, result.item, result.productData, result.selectedVariant);
-          }
-        });
+    (countElement ?? this).textContent = String(count);
 
-        if (renderResults.some((result) => result.storageDirty)) {
-          this.saveToStorage();
-        }
-      } catch (error) {
-        console.error('Failed to render wishlist page', error);
-      }
+    if (label) {
+      label.textContent = (label.dataset.template || '').replace('[count]', String(count));
     }
   }
+}
 
-  // Initialize simplified wishlist controller
-  new SimpleWishlistController();
-
-})();
+if (!customElements.get('wishlist-count-component')) {
+  customElements.define('wishlist-count-component', WishlistCountComponent);
+}